@@ -0,0 +1,175 @@
+// Sign-in sessions and write permissions for the sync server.
+//
+// Devices sign in with a username and password (checked against the stored
+// hash, in the same formats as src/auth.js) and get a bearer token. Reads and
+// writes are checked against the signed-in user's role with the app's own
+// rules (src/permissions.js), and passwords never leave the server. Before
+// signing in a device only gets the account directory, so it can find the
+// account to sign in to.
+
+import crypto from 'node:crypto';
+import {
+  isOwner,
+  canManageClient,
+  canViewUser,
+  canEditProgram,
+  canManageLibrary,
+  visiblePrograms
+} from '../src/permissions.js';
+
+export const SESSION_DURATION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Fields on a user record only the studio owner may change
+const OWNER_FIELDS = ['role', 'approved', 'trainerId'];
+
+// Helper: compare secrets in constant time
+function sameSecret(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Check a password against a stored value (pbkdf2$<iterations>$<salt>$<hash>,
+// a legacy unsalted SHA-256 hex digest, or legacy plain text)
+export function verifyPassword(password, stored) {
+  if (!stored) return false;
+  if (stored.startsWith('pbkdf2$')) {
+    const [, iterations, salt, hash] = stored.split('$');
+    const derived = crypto.pbkdf2Sync(password, Buffer.from(salt, 'hex'), Number(iterations), 32, 'sha256');
+    return sameSecret(derived.toString('hex'), hash);
+  }
+  if (/^[0-9a-f]{64}$/.test(stored)) {
+    return sameSecret(crypto.createHash('sha256').update(password).digest('hex'), stored);
+  }
+  return sameSecret(password, stored);
+}
+
+// Start a session for a user; sessions live in the database so they survive
+// a restart
+export function createSession(db, userId, now = Date.now()) {
+  const token = crypto.randomBytes(32).toString('hex');
+  db.sessions[token] = { userId, expiresAt: now + SESSION_DURATION };
+  return token;
+}
+
+// The signed-in user for a request's bearer token, or null
+export function sessionUser(db, req, now = Date.now()) {
+  const match = /^Bearer (\w+)$/.exec(req.headers.authorization || '');
+  const session = match && db.sessions[match[1]];
+  if (!session || session.expiresAt <= now) return null;
+  const user = db.collections.users[session.userId];
+  return user && !user.deleted ? user : null;
+}
+
+export function tokenOf(req) {
+  return /^Bearer (\w+)$/.exec(req.headers.authorization || '')?.[1] || null;
+}
+
+// A record as sent to devices: user passwords stay on the server
+export function publicRecord(collection, record) {
+  if (collection !== 'users' || !record) return record;
+  const { password, ...rest } = record;
+  return rest;
+}
+
+// Fields of an account anyone may see: enough to sign in, register with a
+// trainer and show names. Directory entries are marked partial so devices
+// never write them back.
+const DIRECTORY_FIELDS = ['id', 'username', 'fullName', 'role', 'approved', 'trainerId', 'passwordVersion', 'schemaVersion', 'updatedAt', 'rev'];
+
+const directoryRecord = (user) => ({
+  ...Object.fromEntries(DIRECTORY_FIELDS.filter((f) => f in user).map((f) => [f, user[f]])),
+  partial: true
+});
+
+// Helper: live (not deleted) record by id
+const live = (store, id) => (store[id] && !store[id].deleted ? store[id] : null);
+
+// Setting up: until an owner exists the first device uploads its data freely
+const settingUp = (db) => !Object.values(db.collections.users).some((u) => !u.deleted && u.role === 'owner');
+
+// Whether actor (null when signed out) may replace existing (null for a new
+// record) with incoming (a tombstone for deletions)
+export function canWrite(db, actor, collection, existing, incoming) {
+  const users = db.collections.users;
+  if (settingUp(db) || isOwner(actor)) return true;
+
+  if (collection === 'users') {
+    if (incoming.partial) return false;
+    if (!existing) {
+      // Registration: clients, and trainers waiting for the owner's approval
+      const taken = Object.values(users).some((u) => !u.deleted && u.username === incoming.username);
+      return !taken && (incoming.role === 'client' || (incoming.role === 'trainer' && incoming.approved === false));
+    }
+    if (!actor || incoming.deleted) return false;
+    if (OWNER_FIELDS.some((f) => (existing[f] ?? null) !== (incoming[f] ?? null))) return false;
+    if (actor.id === existing.id) return true;
+    // Staff manage a client's program, schedule and metrics, not their login
+    return canManageClient(actor, existing) && incoming.password === existing.password;
+  }
+
+  if (!actor) return false;
+  switch (collection) {
+    case 'programs':
+      return existing
+        ? canEditProgram(actor, existing) && (incoming.deleted || incoming.ownerId === existing.ownerId)
+        : canManageLibrary(actor) && incoming.ownerId === actor.id;
+    case 'workouts':
+      return [existing, incoming].every((w) => !w?.userId || canViewUser(actor, live(users, w.userId)));
+    case 'exercises':
+    case 'categories':
+      return canManageLibrary(actor);
+    case 'comments':
+      // Written by their author only, on workouts of a client they manage
+      return [existing, incoming].every((c) => {
+        if (!c?.authorId) return true;
+        const workout = live(db.collections.workouts, c.workoutId);
+        return c.authorId === actor.id && canManageClient(actor, workout && live(users, workout.userId));
+      });
+    case 'feedbackReads':
+      return [existing, incoming].every((r) => !r?.userId || r.userId === actor.id);
+    default:
+      return false;
+  }
+}
+
+// The records of a collection actor (null when signed out) may read, as sent
+// to their device. Tombstones carry nothing and go to everyone; accounts
+// they can't see come as directory entries.
+export function readableRecords(db, actor, collection, records) {
+  return records
+    .filter((r) => r.deleted || isOwner(actor) || canRead(db, actor, collection, r))
+    .map((r) => {
+      const full = collection !== 'users' || r.deleted || isOwner(actor) || (actor && canViewUser(actor, r));
+      return full ? publicRecord(collection, r) : directoryRecord(r);
+    });
+}
+
+// Helper: whether a signed-in actor (or, for users, anyone) may read a live record
+function canRead(db, actor, collection, record) {
+  if (collection === 'users') return true;
+  if (!actor) return false;
+  const { users, workouts } = db.collections;
+  const visible = (userId) => canViewUser(actor, live(users, userId));
+  switch (collection) {
+    case 'programs':
+      // Plus the programs of visible workouts, so history keeps their names
+      return visiblePrograms(actor, [record], Object.values(users).filter((u) => !u.deleted)).length > 0 ||
+        Object.values(workouts).some((w) => !w.deleted && w.programId === record.id && visible(w.userId));
+    case 'workouts':
+    case 'feedbackReads':
+      return visible(record.userId);
+    case 'comments':
+      return visible(live(workouts, record.workoutId)?.userId);
+    case 'exercises':
+    case 'categories':
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Exercise media belongs to the library, which staff maintain
+export function canWriteMedia(db, actor) {
+  return settingUp(db) || canManageLibrary(actor);
+}
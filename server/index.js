@@ -0,0 +1,311 @@
+// Local sync server for Studio YM.
+// Keeps users, programs, workouts and exercises in a JSON file and exposes a
+// small REST API the app replicates against. Run with `npm run server`.
+//
+//   GET    /api/health
+//   POST   /api/session                   -> body { username, password }; { token, userId },
+//                                            404 for an account the server doesn't have yet
+//   DELETE /api/session
+//   GET    /api/:collection?since=<rev>   -> { rev, records } changed after rev
+//                                            (users only, as a directory, when signed out)
+//   GET    /api/:collection/:id
+//   PUT    /api/:collection/:id           -> body is the record, with updatedAt
+//   DELETE /api/:collection/:id?updatedAt=<ms>
+//   GET    /api/media/:id                 -> an exercise image or clip
+//   PUT    /api/media/:id                 -> body is the file, with its Content-Type
+//   DELETE /api/media/:id
+//
+// Every accepted write gets the next server revision number (`rev`), which
+// clients use as their pull cursor. Conflicts are resolved per record by
+// last-writer-wins on `updatedAt`; deletions are kept as tombstones
+// (`deleted: true`) so they replicate like any other change.
+//
+// Reads and writes need a bearer token from /api/session and are checked
+// against the signed-in user's role (see auth.js); records a user may not
+// see are left out of what they read. Only the app's own origins may call the
+// API from a browser: APP_ORIGIN is a comma-separated list, by default the
+// Vite dev and preview servers.
+//
+// Media files are stored as-is under MEDIA_DIR, with their type kept in the
+// database; anyone may fetch them, and staff upload and delete them.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  verifyPassword,
+  createSession,
+  sessionUser,
+  tokenOf,
+  publicRecord,
+  readableRecords,
+  canWrite,
+  canWriteMedia
+} from './auth.js';
+
+const COLLECTIONS = ['users', 'programs', 'workouts', 'exercises', 'categories', 'comments', 'feedbackReads'];
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_FILE = process.env.DATA_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data.json');
+const MEDIA_DIR = process.env.MEDIA_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'media');
+// A little over the app's own limit (MAX_MEDIA_MB in src/media.js)
+const MAX_MEDIA_BYTES = 20 * 1024 * 1024;
+// Records are small JSON documents; anything bigger is refused unread
+const MAX_BODY_BYTES = 1024 * 1024;
+const APP_ORIGINS = (process.env.APP_ORIGIN || 'http://localhost:3000,http://localhost:4173')
+  .split(',')
+  .map((origin) => origin.trim());
+
+// Load the database file, or start empty. An unreadable file stops the
+// server rather than being overwritten by an empty database.
+function loadDatabase() {
+  const db = { rev: 0, collections: {}, sessions: {}, media: {} };
+  if (fs.existsSync(DATA_FILE)) {
+    try {
+      Object.assign(db, JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')));
+    } catch (err) {
+      console.error(`Cannot read ${DATA_FILE}: ${err.message}`);
+      console.error('Restore it from a backup or move it aside, then start the server again.');
+      process.exit(1);
+    }
+  }
+  COLLECTIONS.forEach((c) => {
+    db.collections[c] = db.collections[c] || {};
+  });
+  db.sessions = db.sessions || {};
+  db.media = db.media || {};
+  return db;
+}
+
+// Write via a temp file so a crash never leaves half a database behind
+function saveDatabase(db) {
+  const tmp = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(db));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+const db = loadDatabase();
+
+// Apply a write by actor if it is newer than what we hold and they may make
+// it. Returns { status, body }: 200 with { applied, record } where record is
+// the version that won, or 401/403 with the record the device should keep.
+function applyWrite(collection, incoming, actor) {
+  const store = db.collections[collection];
+  const existing = store[incoming.id];
+  // What the device should keep instead: the server's copy as they may read
+  // it, or nothing
+  const keep = () => (existing && readableRecords(db, actor, collection, [existing])[0]) || { id: incoming.id, deleted: true };
+  // updatedAt 0 marks a device's initial upload, which never overwrites
+  if (existing && (existing.updatedAt > incoming.updatedAt || incoming.updatedAt === 0)) {
+    if (!actor && collection !== 'users') return { status: 401, body: { error: 'Sign in required' } };
+    return { status: 200, body: { applied: false, record: keep() } };
+  }
+  const current = existing && !existing.deleted ? existing : null;
+  // Devices don't hold other users' passwords; a write without one, or with
+  // one older than the stored password, keeps the stored one
+  const stalePassword = (incoming.passwordVersion || 0) < (current?.passwordVersion || 0);
+  if (collection === 'users' && current && !incoming.deleted && (incoming.password === undefined || stalePassword)) {
+    incoming = { ...incoming, password: current.password, passwordVersion: current.passwordVersion };
+  }
+  if (!canWrite(db, actor, collection, current, incoming)) {
+    return actor
+      ? { status: 403, body: { error: 'Not allowed', record: keep() } }
+      : { status: 401, body: { error: 'Sign in required' } };
+  }
+  db.rev += 1;
+  const record = { ...incoming, rev: db.rev };
+  store[incoming.id] = record;
+  saveDatabase(db);
+  return { status: 200, body: { applied: true, record: publicRecord(collection, record) } };
+}
+
+// Helper: send a JSON response
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Helper: read and parse a JSON request body of up to MAX_BODY_BYTES
+async function readBody(req) {
+  const body = (await readRaw(req, MAX_BODY_BYTES)).toString('utf8');
+  return body ? JSON.parse(body) : {};
+}
+
+// Helper: read a raw request body, rejecting bodies over limit bytes with an
+// error whose status is 413. The rest of a refused body is discarded unread
+// so the response still reaches the client.
+function readRaw(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const refuse = () => {
+      req.removeAllListeners('data');
+      req.resume();
+      reject(Object.assign(new Error('Request too large'), { status: 413 }));
+    };
+    if (Number(req.headers['content-length']) > limit) {
+      refuse();
+      return;
+    }
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        refuse();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Media files: GET for everyone, PUT and DELETE for staff
+async function handleMedia(req, res, id) {
+  if (!/^[\w-]+$/.test(id || '')) return sendJson(res, 404, { error: 'Not found' });
+  const file = path.join(MEDIA_DIR, id);
+
+  if (req.method === 'GET') {
+    const entry = db.media[id];
+    if (!entry || !fs.existsSync(file)) return sendJson(res, 404, { error: 'Not found' });
+    res.writeHead(200, { 'Content-Type': entry.type, 'Cache-Control': 'max-age=31536000, immutable' });
+    fs.createReadStream(file).pipe(res);
+    return undefined;
+  }
+
+  const actor = sessionUser(db, req);
+  if (req.method !== 'PUT' && req.method !== 'DELETE') return sendJson(res, 405, { error: 'Method not allowed' });
+  if (!canWriteMedia(db, actor)) {
+    return actor ? sendJson(res, 403, { error: 'Not allowed' }) : sendJson(res, 401, { error: 'Sign in required' });
+  }
+
+  if (req.method === 'DELETE') {
+    fs.rmSync(file, { force: true });
+    delete db.media[id];
+    saveDatabase(db);
+    return sendJson(res, 200, { ok: true });
+  }
+
+  const type = req.headers['content-type'] || '';
+  if (!/^(image|video)\//.test(type)) return sendJson(res, 400, { error: 'Only images and videos' });
+  let body;
+  try {
+    body = await readRaw(req, MAX_MEDIA_BYTES);
+  } catch (e) {
+    return sendJson(res, 413, { error: 'File too large' });
+  }
+  fs.mkdirSync(MEDIA_DIR, { recursive: true });
+  fs.writeFileSync(file, body);
+  db.media[id] = { type, size: body.length };
+  saveDatabase(db);
+  return sendJson(res, 200, { ok: true });
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const [, api, collection, id] = url.pathname.split('/');
+
+  if (api !== 'api') return sendJson(res, 404, { error: 'Not found' });
+  if (collection === 'health') return sendJson(res, 200, { ok: true, rev: db.rev });
+  if (collection === 'media') return handleMedia(req, res, id);
+
+  if (collection === 'session' && req.method === 'POST') {
+    let credentials;
+    try {
+      credentials = await readBody(req);
+    } catch (e) {
+      return sendJson(res, e.status || 400, { error: e.status ? e.message : 'Invalid JSON' });
+    }
+    const user = Object.values(db.collections.users)
+      .find((u) => !u.deleted && u.username === credentials.username);
+    // The account directory is public, so an unknown account can say so
+    if (!user) return sendJson(res, 404, { error: 'Unknown account' });
+    if (!verifyPassword(String(credentials.password || ''), user.password)) {
+      return sendJson(res, 401, { error: 'Wrong username or password' });
+    }
+    if (user.role === 'trainer' && !user.approved) {
+      return sendJson(res, 403, { error: 'Trainer account awaiting approval' });
+    }
+    const token = createSession(db, user.id);
+    saveDatabase(db);
+    return sendJson(res, 200, { token, userId: user.id });
+  }
+
+  if (collection === 'session' && req.method === 'DELETE') {
+    const token = tokenOf(req);
+    if (token && db.sessions[token]) {
+      delete db.sessions[token];
+      saveDatabase(db);
+    }
+    return sendJson(res, 200, { ok: true });
+  }
+
+  if (!COLLECTIONS.includes(collection)) {
+    return sendJson(res, 404, { error: `Unknown collection: ${collection}` });
+  }
+  const store = db.collections[collection];
+  const actor = sessionUser(db, req);
+  // A token that is no longer valid must sign in again, not read anonymously
+  if (!actor && tokenOf(req)) return sendJson(res, 401, { error: 'Sign in required' });
+
+  if (req.method === 'GET' && !id) {
+    if (!actor && collection !== 'users') return sendJson(res, 401, { error: 'Sign in required' });
+    const since = Number(url.searchParams.get('since')) || 0;
+    const changed = Object.values(store).filter((r) => r.rev > since);
+    return sendJson(res, 200, { rev: db.rev, records: readableRecords(db, actor, collection, changed) });
+  }
+
+  if (req.method === 'GET') {
+    if (!actor) return sendJson(res, 401, { error: 'Sign in required' });
+    const [record] = store[id] ? readableRecords(db, actor, collection, [store[id]]) : [];
+    return record ? sendJson(res, 200, record) : sendJson(res, 404, { error: 'Not found' });
+  }
+
+  if (req.method === 'PUT' && id) {
+    let record;
+    try {
+      record = await readBody(req);
+    } catch (e) {
+      return sendJson(res, e.status || 400, { error: e.status ? e.message : 'Invalid JSON' });
+    }
+    if (record.id !== id || typeof record.updatedAt !== 'number') {
+      return sendJson(res, 400, { error: 'Record must have a matching id and numeric updatedAt' });
+    }
+    const { status, body } = applyWrite(collection, record, actor);
+    return sendJson(res, status, body);
+  }
+
+  if (req.method === 'DELETE' && id) {
+    const updatedAt = Number(url.searchParams.get('updatedAt'));
+    if (!updatedAt) return sendJson(res, 400, { error: 'updatedAt is required' });
+    const { status, body } = applyWrite(collection, { id, deleted: true, updatedAt }, actor);
+    return sendJson(res, status, body);
+  }
+
+  return sendJson(res, 405, { error: 'Method not allowed' });
+}
+
+const server = http.createServer((req, res) => {
+  // The app is served from a different port, so allow its cross-origin calls
+  if (APP_ORIGINS.includes(req.headers.origin)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+  }
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  handle(req, res).catch((err) => {
+    console.error(err);
+    sendJson(res, 500, { error: 'Internal error' });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Studio YM sync server listening on http://localhost:${PORT}`);
+});
@@ -1,163 +1,133 @@
-import React, { useState, useEffect } from 'react';
-
-// Helper: generate a random ID for new records
-const generateId = () => '_' + Math.random().toString(36).substr(2, 9);
-
-// Helper: hash a password using the browser crypto API. Returns a hex string.
-async function hashPassword(password) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
-}
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { generateId, formatDate, formatDateWith, formatNumber, toDateKey } from './utils.js';
+import { t, LANGUAGES, getLanguage, setLanguage, languageOf } from './i18n.js';
+import { openStorage, recoverFromStorageError } from './storage.js';
+import {
+  createBackup,
+  parseBackup,
+  previewRestore,
+  mergeData,
+  workoutsToCsv,
+  metricsToCsv,
+  downloadFile
+} from './backup.js';
+import { createSyncEngine, SYNC_URL } from './sync.js';
+import {
+  hashPassword,
+  verifyPassword,
+  lockoutRemaining,
+  registerFailedLogin,
+  saveSession,
+  loadSession,
+  clearSession
+} from './auth.js';
 
-// Keys used in localStorage
-const USERS_KEY = 'studio_users';
-const PROGRAMS_KEY = 'studio_programs';
-const WORKOUTS_KEY = 'studio_workouts';
-const EXERCISES_KEY = 'studio_exercises';
-
-// Load data from localStorage or initialize defaults
-function loadData() {
-  // Users
-  let users = [];
-  const usersJson = localStorage.getItem(USERS_KEY);
-  if (usersJson) {
-    try {
-      users = JSON.parse(usersJson);
-    } catch (e) {
-      users = [];
-    }
-  }
-  if (users.length === 0) {
-    // default admin and client
-    users = [
-      {
-        id: generateId(),
-        username: 'admin',
-        password: 'admin', // default plain text for simplicity
-        role: 'trainer',
-        fullName: 'מנהל סטודיו',
-        email: '',
-        phone: '',
-        goals: {},
-        waterGoal: 2,
-        assignedProgramId: null,
-        completedWorkouts: [],
-        metrics: []
-      },
-      {
-        id: generateId(),
-        username: 'demo',
-        password: 'demo',
-        role: 'client',
-        fullName: 'מתאמן דמו',
-        email: '',
-        phone: '',
-        goals: {},
-        waterGoal: 2,
-        assignedProgramId: null,
-        completedWorkouts: [],
-        metrics: []
-      }
-    ];
-    localStorage.setItem(USERS_KEY, JSON.stringify(users));
-  }
+import {
+  PermissionError,
+  assertAllowed,
+  isOwner,
+  isStaff,
+  canManageClient,
+  canViewUser,
+  canEditProgram,
+  canAssignProgram,
+  canManageLibrary,
+  visibleClients,
+  visiblePrograms
+} from './permissions.js';
 
-  // Programs
-  let programs = [];
-  try {
-    programs = JSON.parse(localStorage.getItem(PROGRAMS_KEY) || '[]');
-  } catch (e) {
-    programs = [];
-  }
-  if (programs.length === 0) {
-    // add a basic program
-    programs.push({
-      id: generateId(),
-      name: 'תוכנית בסיסית',
-      description: 'תוכנית כללית לשיפור הכושר',
-      difficulty: 'בינוני',
-      duration: '45 דקות',
-      targetMuscles: ['רגליים', 'חזה', 'גב'],
-      exercises: [
-        { 
-          id: generateId(),
-          name: 'סקוואט', 
-          sets: 3, 
-          reps: 12, 
-          weight: 0,
-          rest: 60, 
-          notes: 'שמור על גב ישר', 
-          muscleGroup: 'רגליים',
-          video: '',
-          completed: false
-        },
-        { 
-          id: generateId(),
-          name: 'לחיצת חזה', 
-          sets: 3, 
-          reps: 10, 
-          weight: 0,
-          rest: 60, 
-          notes: 'נשימה נכונה', 
-          muscleGroup: 'חזה',
-          video: '',
-          completed: false
-        }
-      ]
-    });
-    localStorage.setItem(PROGRAMS_KEY, JSON.stringify(programs));
-  }
+import { useRoute, navigate, findRoute, Link } from './router.jsx';
 
-  // Workouts (completed workout sessions)
-  let workouts = [];
-  try {
-    workouts = JSON.parse(localStorage.getItem(WORKOUTS_KEY) || '[]');
-  } catch (e) {
-    workouts = [];
-  }
+import { findLastResult, suggestNext, describeResult, incrementFor } from './overload.js';
 
-  // Exercise library
-  let exercises = [];
-  try {
-    exercises = JSON.parse(localStorage.getItem(EXERCISES_KEY) || '[]');
-  } catch (e) {
-    exercises = [];
-  }
-  if (exercises.length === 0) {
-    // Default exercise library
-    exercises = [
-      { id: generateId(), name: 'סקוואט', muscleGroup: 'רגליים', equipment: 'משקל גוף' },
-      { id: generateId(), name: 'לחיצת חזה', muscleGroup: 'חזה', equipment: 'משקולות' },
-      { id: generateId(), name: 'משיכת גב', muscleGroup: 'גב', equipment: 'כבל' },
-      { id: generateId(), name: 'לחיצת כתפיים', muscleGroup: 'כתפיים', equipment: 'משקולות' },
-      { id: generateId(), name: 'סיבובי בטן', muscleGroup: 'בטן', equipment: 'משקל גוף' },
-      { id: generateId(), name: 'דדליפט', muscleGroup: 'רגליים', equipment: 'משקולות' }
-    ];
-    localStorage.setItem(EXERCISES_KEY, JSON.stringify(exercises));
-  }
+import { ONE_REP_MAX_FORMULAS, computeRecords, detectNewRecords } from './records.js';
 
-  return { users, programs, workouts, exercises };
-}
+import { useNow, formatClock, alertRestOver, REST_ADJUST_STEP } from './timer.js';
 
-// Save functions to persist to localStorage
-function saveUsers(users) {
-  localStorage.setItem(USERS_KEY, JSON.stringify(users));
-}
+import { saveDraft, loadDraft, clearDraft, DEFAULT_DRAFT_MAX_AGE_HOURS } from './drafts.js';
 
-function savePrograms(programs) {
-  localStorage.setItem(PROGRAMS_KEY, JSON.stringify(programs));
-}
+import {
+  RANGES,
+  METRIC_FIELDS,
+  DEFAULT_WEEKLY_WORKOUT_GOAL,
+  metricSeries,
+  linearTrend,
+  projectGoalDate,
+  trendTowardGoal,
+  goalProgress,
+  weeklyAdherence
+} from './progress.js';
 
-function saveWorkouts(workouts) {
-  localStorage.setItem(WORKOUTS_KEY, JSON.stringify(workouts));
-}
+import { DRINK_SIZES, dayTotal, addDrink, removeLastDrink, hydrationHistory } from './hydration.js';
 
-function saveExercises(exercises) {
-  localStorage.setItem(EXERCISES_KEY, JSON.stringify(exercises));
-}
+import { WEEKDAY_NAMES, calendarDay, monthGrid } from './schedule.js';
+
+import { programExercises, findDay, nextDay, currentPhase, sessionExercises } from './splits.js';
+
+import { DEFAULT_INACTIVE_ALERT_DAYS, clientsOverview } from './overview.js';
+
+import { commentsFor, readMarkerId, unreadFeedback, workoutsWithUnread } from './feedback.js';
+
+import { registerServiceWorker } from './pwa.js';
+
+import {
+  withNewVersion,
+  contentChanged,
+  programAtVersion,
+  diffVersions,
+  duplicateProgram
+} from './versions.js';
+
+import {
+  CATEGORY_TYPES,
+  categoryNames,
+  filterExercises,
+  groupByMuscle,
+  programsUsingExercise,
+  exercisesInCategory,
+  linkExercises
+} from './library.js';
+
+import {
+  saveMedia,
+  deleteMedia,
+  useMediaUrl,
+  mediaIdsOf,
+  exportMedia,
+  importMedia,
+  MAX_MEDIA_MB
+} from './media.js';
+
+import {
+  SET_TYPES,
+  setTypeAt,
+  groupLabel,
+  groupBlocks,
+  blockSteps,
+  restAfterSet,
+  normalizeGroups,
+  toggleLink
+} from './sets.js';
+
+import {
+  TRACKING_TYPES,
+  trackingOf,
+  tracksDuration,
+  tracksDistance,
+  formatDistance,
+  formatPace,
+  describeTarget,
+  describeSet,
+  resultTotals
+} from './tracking.js';
+import { UNIT_SYSTEMS, unitsOf, unitLabel, toDisplay, roundedDisplay, fromDisplay, formatWeight } from './units.js';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Programs store their difficulty in Hebrew; shown in the current language
+const DIFFICULTY_LABELS = { 'קל': 'programs.easy', 'בינוני': 'programs.medium', 'קשה': 'programs.hard' };
+
+const difficultyLabel = (value) => (DIFFICULTY_LABELS[value] ? t(DIFFICULTY_LABELS[value]) : value);
 
 export default function App() {
   // Global state
@@ -165,68 +135,236 @@ export default function App() {
   const [programs, setPrograms] = useState([]);
   const [workouts, setWorkouts] = useState([]);
   const [exercises, setExercises] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [comments, setComments] = useState([]);
+  const [feedbackReads, setFeedbackReads] = useState([]);
   const [currentUser, setCurrentUser] = useState(null);
-  const [activePage, setActivePage] = useState('dashboard');
+  const route = useRoute();
   const [loading, setLoading] = useState(true);
+  const [storageError, setStorageError] = useState(null);
+  const [syncStatus, setSyncStatus] = useState(null);
+  // Language chosen on the login page; a signed-in user's preference wins
+  const [deviceLanguage, setDeviceLanguage] = useState(getLanguage);
+  // Set when a new build is waiting to take over; calling it reloads into it
+  const [applyUpdate, setApplyUpdate] = useState(null);
+  const storageRef = useRef(null);
+  const syncRef = useRef(null);
+
+  // Initialize data on mount, then start replicating if a sync server is configured
+  useEffect(() => {
+    let syncEngine = null;
+    openStorage()
+      .then(({ storage, data, upgraded }) => {
+        storageRef.current = storage;
+        setUsers(data.users);
+        setPrograms(data.programs);
+        setWorkouts(data.workouts);
+        setExercises(data.exercises);
+        setCategories(data.categories);
+        setComments(data.comments);
+        setFeedbackReads(data.feedbackReads);
+        // Restore a remembered login, extending it for another period
+        const session = loadSession();
+        const sessionUser = session && data.users.find((u) => u.id === session.userId);
+        if (sessionUser) {
+          setCurrentUser(sessionUser);
+          saveSession(sessionUser.id);
+        }
+        setLoading(false);
+        if (SYNC_URL) {
+          syncEngine = createSyncEngine({
+            storage,
+            url: SYNC_URL,
+            applyRemote,
+            onStatus: setSyncStatus
+          });
+          syncRef.current = syncEngine;
+          syncEngine.start(data, upgraded);
+        }
+      })
+      .catch((err) => {
+        console.error('Failed to load stored data', err);
+        setStorageError(err);
+      });
+    return () => syncEngine?.stop();
+  }, []);
 
-  // Initialize data on mount
+  // Offline support and the update prompt (production builds only)
   useEffect(() => {
-    const { users: u, programs: p, workouts: w, exercises: e } = loadData();
-    setUsers(u);
-    setPrograms(p);
-    setWorkouts(w);
-    setExercises(e);
-    setLoading(false);
+    registerServiceWorker((apply) => setApplyUpdate(() => apply));
   }, []);
 
-  // Persist changes when data arrays change
+  // Merge records replicated from the sync server into state. The record
+  // objects are kept as-is so the sync engine can recognise them when saved.
+  const applyRemote = (collection, records) => {
+    const setters = {
+      users: setUsers,
+      programs: setPrograms,
+      workouts: setWorkouts,
+      exercises: setExercises,
+      categories: setCategories,
+      comments: setComments,
+      feedbackReads: setFeedbackReads
+    };
+    setters[collection]((prev) => {
+      const byId = new Map(prev.map((r) => [r.id, r]));
+      records.forEach((r) => {
+        if (r.deleted) {
+          byId.delete(r.id);
+        } else {
+          byId.set(r.id, r);
+        }
+      });
+      return [...byId.values()];
+    });
+  };
+
+  // Auth redirects: protected routes send anonymous visitors to the login page,
+  // remembering where they were headed, and logging in returns them there
+  useEffect(() => {
+    if (loading) return;
+    if (!currentUser && route.path !== '/login') {
+      navigate(`/login?next=${encodeURIComponent(route.path)}`, { replace: true });
+    } else if (currentUser && (route.path === '/login' || route.path === '/')) {
+      navigate(route.query.next || '/dashboard', { replace: true });
+    }
+  }, [currentUser, route, loading]);
+
+  // Queued changes are pushed only with the account of the user who made them
+  useEffect(() => {
+    syncRef.current?.setAuthor(currentUser?.id ?? null);
+  }, [currentUser?.id, loading]);
+
+  // Keep the logged-in user in step with changes from other devices
+  useEffect(() => {
+    if (!currentUser) return;
+    const fresh = users.find((u) => u.id === currentUser.id);
+    if (fresh && fresh !== currentUser) {
+      setCurrentUser(fresh);
+    }
+  }, [users]);
+
+  // Persist changes when data arrays change; only changed records are written
+  const persist = (collection, records) => {
+    storageRef.current
+      .save(collection, records)
+      .catch((err) => console.error(`Failed to save ${collection}`, err));
+  };
   useEffect(() => {
     if (!loading) {
-      saveUsers(users);
+      persist('users', users);
     }
   }, [users, loading]);
   useEffect(() => {
     if (!loading) {
-      savePrograms(programs);
+      persist('programs', programs);
     }
   }, [programs, loading]);
   useEffect(() => {
     if (!loading) {
-      saveWorkouts(workouts);
+      persist('workouts', workouts);
     }
   }, [workouts, loading]);
   useEffect(() => {
     if (!loading) {
-      saveExercises(exercises);
+      persist('exercises', exercises);
     }
   }, [exercises, loading]);
+  useEffect(() => {
+    if (!loading) {
+      persist('categories', categories);
+    }
+  }, [categories, loading]);
+  useEffect(() => {
+    if (!loading) {
+      persist('comments', comments);
+    }
+  }, [comments, loading]);
+  useEffect(() => {
+    if (!loading) {
+      persist('feedbackReads', feedbackReads);
+    }
+  }, [feedbackReads, loading]);
 
   // Authentication handlers
-  const handleLogin = async (username, password) => {
-    // Compare against stored users
+  const handleLogin = async (username, password, remember) => {
     const user = users.find((u) => u.username === username);
-    if (!user) return { success: false, message: 'משתמש לא נמצא' };
-    // In this simplified version, passwords are stored plain; to upgrade security,
-    // use hashPassword for both storage and comparison.
-    let inputPass = password;
-    // If user.password is hashed, we need to hash input
-    if (user.password.length === 64) {
-      inputPass = await hashPassword(password);
+    if (!user) return { success: false, message: t('auth.userNotFound') };
+    const remaining = lockoutRemaining(user);
+    if (remaining) {
+      return { success: false, message: t('auth.locked', { minutes: Math.ceil(remaining / 60000) }) };
+    }
+    // Accounts pulled from the sync server have no password on this device
+    // until they first sign in here, so the server checks those
+    let verified;
+    if (user.password) {
+      verified = await verifyPassword(password, user.password);
+    } else if (syncRef.current) {
+      try {
+        const valid = await syncRef.current.signIn(username, password);
+        verified = { valid, needsUpgrade: valid };
+      } catch (err) {
+        return { success: false, message: t('auth.syncUnavailable') };
+      }
+    } else {
+      verified = { valid: false };
+    }
+    const { valid, needsUpgrade } = verified;
+    if (valid && user.role === 'trainer' && !user.approved) {
+      return { success: false, message: t('auth.trainerPending') };
+    }
+    if (!valid) {
+      const lockout = registerFailedLogin(user);
+      setUsers(users.map((u) => (u.id === user.id ? { ...u, ...lockout } : u)));
+      return {
+        success: false,
+        message: lockout.lockedUntil ? t('auth.tooManyAttempts') : t('auth.wrongPassword')
+      };
     }
-    if (inputPass !== user.password) {
-      return { success: false, message: 'סיסמה שגויה' };
+    let loggedIn = user;
+    // Clear failed attempts and move old plain/unsalted passwords to PBKDF2
+    if (needsUpgrade || user.failedLogins || user.lockedUntil) {
+      loggedIn = { ...user, failedLogins: 0, lockedUntil: null };
+      if (needsUpgrade) {
+        loggedIn.password = await hashPassword(password);
+      }
+      setUsers(users.map((u) => (u.id === user.id ? loggedIn : u)));
+    }
+    if (remember) {
+      saveSession(loggedIn.id);
     }
-    setCurrentUser(user);
-    setActivePage('dashboard');
+    // Write access to the sync server; offline, changes wait for the next login.
+    // A password the server refuses was changed on another device: drop the
+    // stale hash so the next login is checked by the server.
+    if (user.password && syncRef.current) {
+      syncRef.current.signIn(username, password)
+        .then((valid) => {
+          if (valid) return;
+          setUsers((prev) => prev.map((u) => {
+            if (u.id !== user.id) return u;
+            const { password: stale, ...rest } = u;
+            return rest;
+          }));
+          logout();
+        })
+        .catch((err) => console.warn('Sync sign-in failed', err));
+    }
+    setCurrentUser(loggedIn);
     return { success: true };
   };
 
-  const handleRegister = async (username, password, role) => {
+  const handleRegister = async (username, password, role, trainerId) => {
+    if (!['client', 'trainer'].includes(role)) {
+      return { success: false, message: t('auth.invalidRole') };
+    }
     if (!username || !password) {
-      return { success: false, message: 'נא למלא שם משתמש וסיסמה' };
+      return { success: false, message: t('auth.missingCredentials') };
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return { success: false, message: t('auth.passwordTooShort', { min: MIN_PASSWORD_LENGTH }) };
     }
     if (users.find((u) => u.username === username)) {
-      return { success: false, message: 'שם משתמש כבר קיים' };
+      return { success: false, message: t('auth.usernameTaken') };
     }
     // Hash password for new users
     const hashed = await hashPassword(password);
@@ -235,63 +373,129 @@ export default function App() {
       username,
       password: hashed,
       role,
+      // Trainers can't work until the studio owner approves them
+      approved: role === 'client',
       fullName: '',
       email: '',
       phone: '',
       goals: {},
       waterGoal: 2,
+      waterLog: {},
       assignedProgramId: null,
       completedWorkouts: [],
       metrics: []
     };
+    if (role === 'client') {
+      const trainer = users.find((u) => u.id === trainerId);
+      newUser.trainerId = isStaff(trainer) ? trainer.id : null;
+    }
     setUsers([...users, newUser]);
-    return { success: true, message: 'נרשמת בהצלחה' };
+    return {
+      success: true,
+      message: role === 'trainer' ? t('auth.registeredTrainer') : t('auth.registered')
+    };
   };
 
   const logout = () => {
+    clearSession();
+    syncRef.current?.signOut();
+    setDeviceLanguage(getLanguage());
     setCurrentUser(null);
-    setActivePage('dashboard');
+    navigate('/login');
+  };
+
+  // Run a data handler on behalf of the logged-in user, turning a refused
+  // permission check into a result object the pages can show
+  const guard = (handler) => (...args) => {
+    try {
+      handler(...args);
+      return { success: true };
+    } catch (err) {
+      if (err instanceof PermissionError) {
+        return { success: false, message: err.message };
+      }
+      throw err;
+    }
   };
 
   // CRUD operations for programs
-  const addProgram = (name, description) => {
+  const addProgram = guard((name, description) => {
+    assertAllowed(isStaff(currentUser));
     const newProgram = { 
       id: generateId(), 
+      ownerId: currentUser.id,
       name, 
       description, 
       difficulty: 'בינוני',
-      duration: '45 דקות',
+      duration: t('programs.defaultDuration'),
       targetMuscles: [],
-      exercises: [] 
+      days: [{ id: generateId(), name: t('programs.dayName', { letter: 'A' }), exercises: [] }],
+      phases: []
     };
-    setPrograms([...programs, newProgram]);
-  };
+    setPrograms([...programs, withNewVersion({}, newProgram, currentUser.id)]);
+  });
 
-  const updateProgram = (programId, updatedProgram) => {
-    setPrograms(programs.map(p => p.id === programId ? updatedProgram : p));
-  };
+  const updateProgram = guard((programId, updatedProgram) => {
+    const existing = programs.find((p) => p.id === programId);
+    assertAllowed(canEditProgram(currentUser, existing), t('permissions.editProgram'));
+    if (!contentChanged(existing, updatedProgram)) return;
+    // Ownership can't be changed through an edit; each save is a new version
+    const saved = withNewVersion(existing, { ...updatedProgram, ownerId: existing.ownerId }, currentUser.id);
+    setPrograms(programs.map(p => p.id === programId ? saved : p));
+  });
 
-  const assignProgramToUser = (username, programId) => {
-    setUsers(users.map((u) => (u.username === username ? { ...u, assignedProgramId: programId } : u)));
-  };
+  // Copy a program the acting staff member can see into a new program they own
+  const duplicateProgramAsTemplate = guard((programId, name) => {
+    const program = visiblePrograms(currentUser, programs, users).find((p) => p.id === programId);
+    assertAllowed(isStaff(currentUser) && program);
+    setPrograms([...programs, duplicateProgram(program, currentUser.id, name)]);
+  });
+
+  const assignProgramToUser = guard((username, programId) => {
+    const client = users.find((u) => u.username === username);
+    const program = programs.find((p) => p.id === programId);
+    assertAllowed(canAssignProgram(currentUser, client, program), t('permissions.assignProgram'));
+    setUsers(users.map((u) => (u.id === client.id ? { ...u, assignedProgramId: programId } : u)));
+  });
+
+  // Training schedule for a client: replaces the client's schedule entries.
+  // Entries already on the schedule may stay or go; new ones need a program
+  // the acting user may assign.
+  const updateSchedule = guard((clientId, schedule) => {
+    const client = users.find((u) => u.id === clientId);
+    assertAllowed(canManageClient(currentUser, client), t('permissions.schedule'));
+    const existing = new Set((client.schedule || []).map((entry) => entry.id));
+    const added = schedule.filter((entry) => !existing.has(entry.id));
+    assertAllowed(
+      added.every((entry) => canAssignProgram(currentUser, client, programs.find((p) => p.id === entry.programId))),
+      t('permissions.assignProgram')
+    );
+    setUsers(users.map((u) => (u.id === clientId ? { ...u, schedule } : u)));
+  });
 
   // Metrics operations
-  const addMetric = (userId, entry) => {
+  const addMetric = guard((userId, entry) => {
+    const target = users.find((u) => u.id === userId);
+    assertAllowed(canViewUser(currentUser, target));
     setUsers(
       users.map((u) => (u.id === userId ? { ...u, metrics: [...u.metrics, entry] } : u))
     );
-  };
+  });
 
   // Workout operations
-  const completeWorkout = (programId, exerciseResults, notes) => {
+  // session: { programId, programVersion, dayId, phaseId } the workout was done with
+  const completeWorkout = (session, exerciseResults, notes, duration) => {
     const workout = {
       id: generateId(),
       userId: currentUser.id,
-      programId,
+      programId: session.programId,
+      programVersion: session.programVersion,
+      dayId: session.dayId,
+      phaseId: session.phaseId,
       date: new Date().toISOString(),
       exercises: exerciseResults,
       notes,
-      duration: 0 // will be calculated
+      duration // seconds from start to finish
     };
     setWorkouts([...workouts, workout]);
     setUsers(
@@ -299,8 +503,43 @@ export default function App() {
     );
   };
 
+  // Feedback on a completed workout from the client's trainer (or the studio
+  // owner). exerciseIndex is null for a comment on the whole session.
+  const addComment = guard((workoutId, exerciseIndex, text) => {
+    const workout = workouts.find((w) => w.id === workoutId);
+    const owner = workout && users.find((u) => u.id === workout.userId);
+    assertAllowed(canManageClient(currentUser, owner), t('permissions.comment'));
+    const comment = {
+      id: generateId(),
+      workoutId,
+      exerciseIndex,
+      authorId: currentUser.id,
+      text,
+      createdAt: new Date().toISOString()
+    };
+    setComments([...comments, comment]);
+  });
+
+  // Only the author can take a comment back
+  const deleteComment = guard((commentId) => {
+    const comment = comments.find((c) => c.id === commentId);
+    assertAllowed(comment?.authorId === currentUser.id);
+    setComments(comments.filter((c) => c.id !== commentId));
+  });
+
+  // Opening a workout marks the feedback on it read for its owner
+  const markFeedbackRead = (workoutId) => {
+    const unread = unreadFeedback(comments, workouts, feedbackReads, currentUser.id)
+      .some((c) => c.workoutId === workoutId);
+    if (!unread) return;
+    const id = readMarkerId(currentUser.id, workoutId);
+    const marker = { id, userId: currentUser.id, workoutId, readAt: new Date().toISOString() };
+    setFeedbackReads([...feedbackReads.filter((r) => r.id !== id), marker]);
+  };
+
   // Exercise library operations
-  const addExercise = (name, muscleGroup, equipment) => {
+  const addExercise = guard((name, muscleGroup, equipment) => {
+    assertAllowed(canManageLibrary(currentUser));
     const newExercise = {
       id: generateId(),
       name,
@@ -308,7 +547,61 @@ export default function App() {
       equipment
     };
     setExercises([...exercises, newExercise]);
-  };
+  });
+
+  // Programs link to library entries, so renames show up everywhere
+  const updateExercise = guard((exerciseId, changes) => {
+    assertAllowed(canManageLibrary(currentUser));
+    setExercises(exercises.map((ex) => (ex.id === exerciseId ? { ...ex, ...changes } : ex)));
+  });
+
+  // Exercises still used by a program can't be deleted
+  const deleteExercise = guard((exerciseId) => {
+    assertAllowed(canManageLibrary(currentUser));
+    const usedIn = programsUsingExercise(programs, exerciseId);
+    assertAllowed(
+      usedIn.length === 0,
+      t('exercises.inUse', { programs: usedIn.map((p) => p.name).join(', ') })
+    );
+    const removed = exercises.find((ex) => ex.id === exerciseId);
+    setExercises(exercises.filter((ex) => ex.id !== exerciseId));
+    deleteMedia((removed?.media || []).map((m) => m.id))
+      .catch((err) => console.error('Failed to delete exercise media', err));
+  });
+
+  // Library categories (muscle groups and equipment), maintained by staff
+  const addCategory = guard((type, name) => {
+    assertAllowed(canManageLibrary(currentUser));
+    if (categories.some((c) => c.type === type && c.name === name)) return;
+    setCategories([...categories, { id: generateId(), type, name }]);
+  });
+
+  // Categories still used by an exercise can't be deleted
+  const deleteCategory = guard((categoryId) => {
+    assertAllowed(canManageLibrary(currentUser));
+    const category = categories.find((c) => c.id === categoryId);
+    const count = exercisesInCategory(exercises, category).length;
+    assertAllowed(count === 0, t('categories.inUse', { name: category?.name, count }));
+    setCategories(categories.filter((c) => c.id !== categoryId));
+  });
+
+  // User management (studio owner only)
+  const approveTrainer = guard((userId) => {
+    assertAllowed(isOwner(currentUser));
+    setUsers(users.map((u) => (u.id === userId && u.role === 'trainer' ? { ...u, approved: true } : u)));
+  });
+
+  const rejectTrainer = guard((userId) => {
+    assertAllowed(isOwner(currentUser));
+    setUsers(users.filter((u) => !(u.id === userId && u.role === 'trainer' && !u.approved)));
+  });
+
+  const setClientTrainer = guard((clientId, trainerId) => {
+    assertAllowed(isOwner(currentUser));
+    const trainer = users.find((u) => u.id === trainerId);
+    assertAllowed(!trainerId || isStaff(trainer), t('users.trainerNotApproved'));
+    setUsers(users.map((u) => (u.id === clientId && u.role === 'client' ? { ...u, trainerId: trainerId || null } : u)));
+  });
 
   // Profile update
   const saveProfile = (data) => {
@@ -319,116 +612,414 @@ export default function App() {
     setCurrentUser({ ...currentUser, ...data });
   };
 
+  // Water intake: the whole log is replaced, via the profile update
+  const updateWaterLog = (waterLog) => {
+    saveProfile({ waterLog });
+  };
+
+  const changePassword = async (currentPassword, newPassword) => {
+    const { valid } = await verifyPassword(currentPassword, currentUser.password);
+    if (!valid) {
+      return { success: false, message: t('password.wrongCurrent') };
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return { success: false, message: t('auth.passwordTooShort', { min: MIN_PASSWORD_LENGTH }) };
+    }
+    // The new version tells other devices to drop the hash they hold
+    saveProfile({ password: await hashPassword(newPassword), passwordVersion: (currentUser.passwordVersion || 0) + 1 });
+    return { success: true, message: t('password.changed') };
+  };
+
+  // Backup restore: replace everything, or merge the backup into current data
+  const restoreData = guard((incoming, mode) => {
+    assertAllowed(isOwner(currentUser));
+    const current = { users, programs, workouts, exercises, categories, comments, feedbackReads };
+    const next = mode === 'merge' ? mergeData(current, incoming) : incoming;
+    setUsers(next.users);
+    setPrograms(next.programs);
+    setWorkouts(next.workouts);
+    setExercises(next.exercises);
+    setCategories(next.categories);
+    setComments(next.comments);
+    setFeedbackReads(next.feedbackReads);
+    // Keep the trainer logged in if their account survived the restore
+    const me = next.users.find((u) => u.id === currentUser.id);
+    if (me) {
+      setCurrentUser(me);
+    } else {
+      logout();
+    }
+  });
+
+  // The UI language: the signed-in user's preference, else this device's.
+  // t() reads the module's current language, so after switching it the app
+  // renders again (before paint) in the new one.
+  const language = languageOf(currentUser) || deviceLanguage;
+  const [, setRenderedLanguage] = useState(getLanguage);
+  useLayoutEffect(() => {
+    setLanguage(language);
+    setRenderedLanguage(language);
+  }, [language]);
+
+  if (storageError) {
+    return (
+      <StorageErrorPage
+        error={storageError}
+        onRecover={async () => {
+          await recoverFromStorageError(storageError);
+          window.location.reload();
+        }}
+      />
+    );
+  }
+
   if (loading) {
-    return <div className="loading">טוען...</div>;
+    return <div className="loading">{t('common.loading')}</div>;
   }
 
+  const routes = currentUser ? [
+    {
+      path: '/dashboard',
+      page: 'dashboard',
+      render: () => (isStaff(currentUser) ? (
+        <TrainerDashboard user={currentUser} users={users} programs={programs} workouts={workouts} />
+      ) : (
+        <Dashboard
+          user={currentUser}
+          programs={programs}
+          workouts={workouts}
+          exercises={exercises}
+          updateWaterLog={updateWaterLog}
+        />
+      ))
+    },
+    {
+      path: '/programs',
+      page: 'programs',
+      render: () => (
+        <ProgramsPage
+          user={currentUser}
+          programs={programs}
+          exercises={exercises}
+          addProgram={addProgram}
+          updateProgram={updateProgram}
+          duplicateProgram={duplicateProgramAsTemplate}
+          assignProgram={assignProgramToUser}
+          users={users}
+        />
+      )
+    },
+    {
+      path: '/programs/:id',
+      page: 'programs',
+      render: ({ id }) => (
+        <ProgramsPage
+          user={currentUser}
+          programs={programs}
+          exercises={exercises}
+          addProgram={addProgram}
+          updateProgram={updateProgram}
+          duplicateProgram={duplicateProgramAsTemplate}
+          assignProgram={assignProgramToUser}
+          users={users}
+          programId={id}
+        />
+      )
+    },
+    {
+      path: '/metrics',
+      page: 'metrics',
+      render: () => <MetricsPage user={currentUser} viewer={currentUser} users={users} addMetric={addMetric} />
+    },
+    {
+      path: '/clients/:username/metrics',
+      page: 'metrics',
+      render: ({ username }) => {
+        const client = users.find((u) => u.username === username);
+        return canViewUser(currentUser, client)
+          ? <MetricsPage user={client} viewer={currentUser} users={users} addMetric={addMetric} />
+          : <NotFoundPage />;
+      }
+    },
+    {
+      path: '/workouts',
+      page: 'workouts',
+      render: () => (
+        <WorkoutsPage
+          key={route.query.resume ? 'resume' : 'workouts'}
+          autoResume={Boolean(route.query.resume)}
+          user={currentUser}
+          users={users}
+          programs={programs}
+          workouts={workouts}
+          exercises={exercises}
+          unreadWorkouts={workoutsWithUnread(comments, workouts, feedbackReads, currentUser.id)}
+          completeWorkout={completeWorkout}
+        />
+      )
+    },
+    {
+      path: '/workouts/:id',
+      page: 'workouts',
+      render: ({ id }) => {
+        const workout = workouts.find((w) => w.id === id);
+        const owner = workout && users.find((u) => u.id === workout.userId);
+        return canViewUser(currentUser, owner) ? (
+          <WorkoutDetails
+            workout={workout}
+            owner={owner}
+            viewer={currentUser}
+            users={users}
+            programs={programs}
+            comments={commentsFor(comments, workout.id)}
+            units={unitsOf(currentUser)}
+            addComment={addComment}
+            deleteComment={deleteComment}
+            markFeedbackRead={markFeedbackRead}
+          />
+        ) : <NotFoundPage />;
+      }
+    },
+    {
+      path: '/clients/:username/workouts',
+      page: 'workouts',
+      render: ({ username }) => {
+        const client = users.find((u) => u.username === username);
+        return canViewUser(currentUser, client)
+          ? <ClientWorkoutsPage client={client} programs={programs} workouts={workouts} units={unitsOf(currentUser)} />
+          : <NotFoundPage />;
+      }
+    },
+    {
+      path: '/calendar',
+      page: 'calendar',
+      render: () => (
+        <CalendarPage
+          user={currentUser}
+          viewer={currentUser}
+          users={users}
+          programs={programs}
+          workouts={workouts}
+          updateSchedule={updateSchedule}
+        />
+      )
+    },
+    {
+      path: '/clients/:username/calendar',
+      page: 'calendar',
+      render: ({ username }) => {
+        const client = users.find((u) => u.username === username);
+        return canViewUser(currentUser, client) ? (
+          <CalendarPage
+            user={client}
+            viewer={currentUser}
+            users={users}
+            programs={programs}
+            workouts={workouts}
+            updateSchedule={updateSchedule}
+          />
+        ) : <NotFoundPage />;
+      }
+    },
+    {
+      path: '/water',
+      page: 'water',
+      render: () => <WaterPage user={currentUser} updateWaterLog={updateWaterLog} />
+    },
+    {
+      path: '/exercises',
+      page: 'exercises',
+      render: () => (
+        <ExercisesPage
+          user={currentUser}
+          exercises={exercises}
+          categories={categories}
+          programs={programs}
+          workouts={workouts}
+          addExercise={addExercise}
+          updateExercise={updateExercise}
+          deleteExercise={deleteExercise}
+          addCategory={addCategory}
+          deleteCategory={deleteCategory}
+        />
+      )
+    },
+    {
+      path: '/profile',
+      page: 'profile',
+      render: () => <ProfilePage user={currentUser} saveProfile={saveProfile} changePassword={changePassword} />
+    },
+    // Staff export their clients' data; the full backup is the owner's
+    ...(isStaff(currentUser) ? [
+      {
+        path: '/backup',
+        page: 'backup',
+        render: () => (
+          <BackupPage
+            viewer={currentUser}
+            data={{ users, programs, workouts, exercises, categories, comments, feedbackReads }}
+            restoreData={restoreData}
+          />
+        )
+      }
+    ] : []),
+    ...(isOwner(currentUser) ? [
+      {
+        path: '/users',
+        page: 'users',
+        render: () => (
+          <UsersPage
+            users={users}
+            approveTrainer={approveTrainer}
+            rejectTrainer={rejectTrainer}
+            setClientTrainer={setClientTrainer}
+          />
+        )
+      }
+    ] : [])
+  ] : [];
+  const match = findRoute(routes, route.path);
+
   return (
     <div className="app-container">
+      {applyUpdate && <UpdatePrompt onUpdate={applyUpdate} onDismiss={() => setApplyUpdate(null)} />}
       {currentUser ? (
         <>
           <Navbar
             currentUser={currentUser}
-            activePage={activePage}
-            setActivePage={setActivePage}
+            activePage={match?.route.page}
             logout={logout}
+            syncStatus={syncStatus}
+            unreadFeedback={unreadFeedback(comments, workouts, feedbackReads, currentUser.id).length}
           />
           <div className="page-container">
-            {activePage === 'dashboard' && (
-              <Dashboard
-                user={currentUser}
-                programs={programs}
-                workouts={workouts}
-              />
-            )}
-            {activePage === 'programs' && (
-              <ProgramsPage
-                user={currentUser}
-                programs={programs}
-                exercises={exercises}
-                addProgram={addProgram}
-                updateProgram={updateProgram}
-                assignProgram={assignProgramToUser}
-                users={users}
-              />
-            )}
-            {activePage === 'metrics' && (
-              <MetricsPage user={currentUser} addMetric={addMetric} />
-            )}
-            {activePage === 'workouts' && (
-              <WorkoutsPage
-                user={currentUser}
-                programs={programs}
-                workouts={workouts}
-                completeWorkout={completeWorkout}
-              />
-            )}
-            {activePage === 'exercises' && (
-              <ExercisesPage
-                user={currentUser}
-                exercises={exercises}
-                addExercise={addExercise}
-              />
-            )}
-            {activePage === 'profile' && (
-              <ProfilePage user={currentUser} saveProfile={saveProfile} />
-            )}
+            {match ? match.route.render(match.params) : <NotFoundPage />}
           </div>
         </>
       ) : (
-        <AuthPage onLogin={handleLogin} onRegister={handleRegister} />
+        <AuthPage
+          onLogin={handleLogin}
+          onRegister={handleRegister}
+          trainers={users.filter((u) => isStaff(u))}
+          language={deviceLanguage}
+          onLanguageChange={setDeviceLanguage}
+        />
+      )}
+    </div>
+  );
+}
+
+// Shown instead of the app when stored data can't be loaded, so nothing is overwritten
+function StorageErrorPage({ error, onRecover }) {
+  const canRecover = Boolean(error.collection && error.adapter?.quarantine);
+  return (
+    <div className="storage-error">
+      <h2>{t('storageError.title')}</h2>
+      <p>{t('storageError.body')}</p>
+      <pre>{error.message}</pre>
+      {canRecover && (
+        <button
+          onClick={() => {
+            if (window.confirm(t('storageError.confirmRecover'))) {
+              onRecover();
+            }
+          }}
+        >
+          {t('storageError.recover')}
+        </button>
       )}
     </div>
   );
 }
 
 // Navigation bar component
-function Navbar({ currentUser, activePage, setActivePage, logout }) {
+function Navbar({ currentUser, activePage, logout, syncStatus, unreadFeedback }) {
+  const item = (page, label) => (
+    <li onClick={() => navigate(`/${page}`)} className={activePage === page ? 'active' : ''}>
+      {label}
+    </li>
+  );
   return (
     <nav className="navbar">
-      <div className="navbar-brand">סטודיו YM - ברוך הבא, {currentUser.fullName || currentUser.username}</div>
+      <div className="navbar-brand">
+        {t('nav.welcome', { name: currentUser.fullName || currentUser.username })}
+        {syncStatus && <SyncIndicator status={syncStatus} />}
+      </div>
       <ul className="nav-links">
-        <li onClick={() => setActivePage('dashboard')} className={activePage === 'dashboard' ? 'active' : ''}>
-          דשבורד
-        </li>
-        <li onClick={() => setActivePage('programs')} className={activePage === 'programs' ? 'active' : ''}>
-          תוכניות
-        </li>
-        <li onClick={() => setActivePage('metrics')} className={activePage === 'metrics' ? 'active' : ''}>
-          מדדים
-        </li>
-        <li onClick={() => setActivePage('workouts')} className={activePage === 'workouts' ? 'active' : ''}>
-          אימונים
-        </li>
-        <li onClick={() => setActivePage('exercises')} className={activePage === 'exercises' ? 'active' : ''}>
-          ספריית תרגילים
-        </li>
-        <li onClick={() => setActivePage('profile')} className={activePage === 'profile' ? 'active' : ''}>
-          פרופיל
-        </li>
-        <li onClick={logout}>התנתק</li>
+        {item('dashboard', t('nav.dashboard'))}
+        {item('programs', t('nav.programs'))}
+        {item('metrics', t('nav.metrics'))}
+        {item('workouts', (
+          <>
+            {t('nav.workouts')}
+            {unreadFeedback > 0 && (
+              <span className="badge" title={t('feedback.unread', { count: unreadFeedback })}>{unreadFeedback}</span>
+            )}
+          </>
+        ))}
+        {item('calendar', t('nav.calendar'))}
+        {item('water', t('nav.water'))}
+        {item('exercises', t('nav.exercises'))}
+        {item('profile', t('nav.profile'))}
+        {isOwner(currentUser) && item('users', t('nav.users'))}
+        {isStaff(currentUser) && item('backup', isOwner(currentUser) ? t('nav.backup') : t('nav.export'))}
+        <li onClick={logout}>{t('nav.logout')}</li>
       </ul>
     </nav>
   );
 }
 
+// Offered when a new version has been deployed; updating reloads the page,
+// and a workout in progress is kept as a draft
+function UpdatePrompt({ onUpdate, onDismiss }) {
+  return (
+    <div className="update-prompt" role="status">
+      <span>{t('pwa.updateAvailable')}</span>
+      <button onClick={onUpdate}>{t('pwa.update')}</button>
+      <button onClick={onDismiss}>{t('pwa.later')}</button>
+    </div>
+  );
+}
+
+// Shown for unknown routes and for records the user isn't allowed to see
+function NotFoundPage() {
+  return (
+    <div className="not-found">
+      <h2>{t('notFound.title')}</h2>
+      <p>{t('notFound.body')}</p>
+      <Link to="/dashboard">{t('notFound.back')}</Link>
+    </div>
+  );
+}
+
+// Small badge showing replication state with the sync server
+function SyncIndicator({ status }) {
+  return (
+    <span className={`sync-indicator sync-${status.state}`} title={status.error || ''}>
+      {t(`sync.${status.state}`, { pending: status.pending })}
+    </span>
+  );
+}
+
 // Authentication page component: handles login and registration forms
-function AuthPage({ onLogin, onRegister }) {
+function AuthPage({ onLogin, onRegister, trainers, language, onLanguageChange }) {
   const [isLogin, setIsLogin] = useState(true);
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [role, setRole] = useState('client');
+  const [trainerId, setTrainerId] = useState('');
+  const [remember, setRemember] = useState(true);
   const [message, setMessage] = useState('');
 
   const submit = async (e) => {
     e.preventDefault();
     if (isLogin) {
-      const result = await onLogin(username.trim(), password);
+      const result = await onLogin(username.trim(), password, remember);
       if (!result.success) {
         setMessage(result.message);
       }
     } else {
-      const result = await onRegister(username.trim(), password, role);
+      const result = await onRegister(username.trim(), password, role, trainerId);
       setMessage(result.message);
       if (result.success) {
         setIsLogin(true);
@@ -438,38 +1029,198 @@ function AuthPage({ onLogin, onRegister }) {
 
   return (
     <div className="auth-container">
-      <h2>{isLogin ? 'התחברות' : 'הרשמה'}</h2>
+      <LanguageSelect value={language} onChange={onLanguageChange} />
+      <h2>{isLogin ? t('auth.loginTitle') : t('auth.registerTitle')}</h2>
       <form onSubmit={submit} className="auth-form">
         <label>
-          שם משתמש:
+          {t('auth.username')}:
           <input type="text" value={username} onChange={(e) => setUsername(e.target.value)} required />
         </label>
         <label>
-          סיסמה:
+          {t('auth.password')}:
           <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
         </label>
+        {isLogin && (
+          <label className="remember-me">
+            <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} />
+            {t('auth.rememberMe')}
+          </label>
+        )}
         {!isLogin && (
           <label>
-            תפקיד:
+            {t('auth.role')}:
             <select value={role} onChange={(e) => setRole(e.target.value)}>
-              <option value="client">לקוח</option>
-              <option value="trainer">מאמן</option>
+              <option value="client">{t('auth.roleClient')}</option>
+              <option value="trainer">{t('auth.roleTrainer')}</option>
+            </select>
+          </label>
+        )}
+        {!isLogin && role === 'client' && (
+          <label>
+            {t('auth.trainer')}:
+            <select value={trainerId} onChange={(e) => setTrainerId(e.target.value)}>
+              <option value="">{t('auth.chooseTrainer')}</option>
+              {trainers.map((trainer) => (
+                <option key={trainer.id} value={trainer.id}>{trainer.fullName || trainer.username}</option>
+              ))}
             </select>
           </label>
         )}
-        <button type="submit">{isLogin ? 'התחבר' : 'צור חשבון'}</button>
+        <button type="submit">{isLogin ? t('auth.login') : t('auth.createAccount')}</button>
         {message && <div className="message">{message}</div>}
       </form>
       <div className="toggle-link" onClick={() => { setIsLogin(!isLogin); setMessage(''); }}>
-        {isLogin ? 'אין לך חשבון? לחץ כאן להרשמה' : 'כבר רשום? לחץ כאן להתחברות'}
+        {isLogin ? t('auth.toRegister') : t('auth.toLogin')}
+      </div>
+    </div>
+  );
+}
+
+// Language picker, each language named in itself
+function LanguageSelect({ value, onChange }) {
+  return (
+    <select className="language-select" value={value} onChange={(e) => onChange(e.target.value)} aria-label="Language">
+      {Object.entries(LANGUAGES).map(([key, { label }]) => (
+        <option key={key} value={key}>{label}</option>
+      ))}
+    </select>
+  );
+}
+
+const RECORD_LABELS = {
+  heaviest: 'records.heaviest',
+  bestVolume: 'records.bestVolume',
+  bestOneRepMax: 'records.bestOneRepMax'
+};
+
+// Horizontal progress bar, percent 0–100
+function ProgressBar({ percent }) {
+  return (
+    <div className="progress-bar">
+      <div className="progress-fill" style={{ width: `${Math.max(0, Math.min(100, percent))}%` }} />
+    </div>
+  );
+}
+
+// Liters are shown to two decimals
+const LITERS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+// Today's water intake: progress ring and quick-add buttons
+function WaterTracker({ user, updateWaterLog }) {
+  const goal = user.waterGoal || 0;
+  const liters = dayTotal(user.waterLog);
+  const drinksToday = (user.waterLog || {})[toDateKey()] || [];
+  const fraction = goal > 0 ? Math.min(1, liters / goal) : 0;
+  const radius = 40;
+  const circumference = 2 * Math.PI * radius;
+
+  return (
+    <div className="water-tracker">
+      <svg className="water-ring" viewBox="0 0 100 100">
+        <circle cx="50" cy="50" r={radius} className="ring-track" />
+        <circle
+          cx="50"
+          cy="50"
+          r={radius}
+          className={fraction >= 1 ? 'ring-fill met' : 'ring-fill'}
+          strokeDasharray={`${circumference * fraction} ${circumference}`}
+          transform="rotate(-90 50 50)"
+        />
+        <text x="50" y="48" textAnchor="middle" className="ring-value">{formatNumber(liters, LITERS)}</text>
+        <text x="50" y="64" textAnchor="middle" className="ring-goal">{goal > 0 ? t('water.ofGoal', { goal }) : t('water.liters')}</text>
+      </svg>
+      <div className="water-buttons">
+        {DRINK_SIZES.map((size) => (
+          <button key={size.ml} onClick={() => updateWaterLog(addDrink(user.waterLog, size.ml))}>
+            + {t(size.label)} ({t('water.ml', { ml: size.ml })})
+          </button>
+        ))}
+        <button
+          className="undo"
+          disabled={drinksToday.length === 0}
+          onClick={() => updateWaterLog(removeLastDrink(user.waterLog))}
+        >
+          {t('water.undo')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Water page: today's tracker and which recent days met the goal
+function WaterPage({ user, updateWaterLog }) {
+  const history = hydrationHistory(user.waterLog, user.waterGoal);
+  const metDays = history.filter((d) => d.met).length;
+  return (
+    <div className="water-page">
+      <h2>{t('water.title')}</h2>
+      <div className="water-summary">
+        <WaterTracker user={user} updateWaterLog={updateWaterLog} />
       </div>
+      <h3>{t('water.history', { count: metDays })}</h3>
+      <table className="metrics-table">
+        <thead>
+          <tr>
+            <th>{t('common.date')}</th>
+            <th>{t('water.amount')}</th>
+            <th>{t('water.goal')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {history.map((d) => (
+            <tr key={d.dateKey} className={d.met ? 'goal-met' : ''}>
+              <td>{formatDate(`${d.dateKey}T12:00:00`)}</td>
+              <td>{formatNumber(d.liters, LITERS)}</td>
+              <td>{d.met ? '✓' : '–'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 }
 
+// Table of personal records per library exercise
+function RecordsTable({ records, exercises, units }) {
+  const rows = exercises.filter((ex) => records[ex.id]);
+  if (rows.length === 0) return <p>{t('records.none')}</p>;
+  return (
+    <table className="metrics-table records-table">
+      <thead>
+        <tr>
+          <th>{t('common.exercise')}</th>
+          <th>{t(RECORD_LABELS.heaviest)}</th>
+          <th>{t(RECORD_LABELS.bestVolume)}</th>
+          <th>{t(RECORD_LABELS.bestOneRepMax)}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((ex) => {
+          const r = records[ex.id];
+          return (
+            <tr key={ex.id}>
+              <td>{ex.name}</td>
+              <td>{formatWeight(r.heaviest.weight, units)} × {r.heaviest.reps}</td>
+              <td>{roundedDisplay(r.bestVolume.volume, units)} ({r.bestVolume.reps} × {formatWeight(r.bestVolume.weight, units)})</td>
+              <td>{formatWeight(r.bestOneRepMax.value, units)}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
 // Dashboard page: shows summary of user's metrics and assigned program
-function Dashboard({ user, programs, workouts }) {
+function Dashboard({ user, programs, workouts, exercises, updateWaterLog }) {
+  const draft = loadDraft(user.id, user.draftMaxAgeHours);
+  const weeklyGoal = user.weeklyWorkoutGoal || DEFAULT_WEEKLY_WORKOUT_GOAL;
+  const adherence = weeklyAdherence(workouts, user.id, weeklyGoal);
+  const goalFields = METRIC_FIELDS.filter((f) => user.goals?.[f.key] > 0);
+  const records = computeRecords(workouts, user.id, exercises, user.oneRepMaxFormula);
+  const units = unitsOf(user);
   const assignedProgram = programs.find((p) => p.id === user.assignedProgramId);
+  const upNext = assignedProgram && assignedProgram.days.length > 1 ? nextDay(assignedProgram, workouts, user.id) : null;
   const lastMetric = user.metrics.length ? user.metrics[user.metrics.length - 1] : null;
   const userWorkouts = workouts.filter(w => w.userId === user.id);
   const thisWeekWorkouts = userWorkouts.filter(w => {
@@ -481,171 +1232,314 @@ function Dashboard({ user, programs, workouts }) {
 
   return (
     <div className="dashboard">
-      <h2>דשבורד - סטודיו YM</h2>
+      <h2>{t('dashboard.title')}</h2>
+
+      {draft && (
+        <div className="resume-draft">
+          <p>{t('dashboard.draftPrompt')}</p>
+          <Link to="/workouts?resume=1">{t('workouts.resume')}</Link>
+        </div>
+      )}
       
+      <div className="goal-cards">
+        <div className="goal-card">
+          <h4>{t('dashboard.workoutsThisWeek')}</h4>
+          <div className="goal-value">{adherence.thisWeek} / {weeklyGoal}</div>
+          <ProgressBar percent={Math.min(100, (adherence.thisWeek / weeklyGoal) * 100)} />
+          <p>{t('dashboard.adherence', { percent: adherence.percent })}</p>
+          {userWorkouts.length > 0 && adherence.counts[0] < weeklyGoal && adherence.counts[1] < weeklyGoal && (
+            <p className="warning">{t('dashboard.belowGoal')}</p>
+          )}
+        </div>
+        {goalFields.map((field) => {
+          const points = metricSeries(user.metrics, field.key);
+          const progress = goalProgress(points, user.goals[field.key]);
+          const toward = trendTowardGoal(points, user.goals[field.key]);
+          return (
+            <div key={field.key} className="goal-card">
+              <h4>{t(field.label)}</h4>
+              {progress ? (
+                <>
+                  <div className="goal-value">
+                    {roundedDisplay(progress.current, units, field.kind)} → {roundedDisplay(progress.goal, units, field.kind)} {unitLabel(units, field.kind)}
+                  </div>
+                  <ProgressBar percent={progress.percent} />
+                  <p>
+                    {t('dashboard.goalProgress', {
+                      percent: progress.percent,
+                      start: `${roundedDisplay(progress.start, units, field.kind)} ${unitLabel(units, field.kind)}`
+                    })}
+                  </p>
+                  {toward === false && <p className="warning">{t('dashboard.trendAway')}</p>}
+                </>
+              ) : (
+                <p>{t('metrics.none')}</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="water-summary">
+        <h3>{t('dashboard.waterToday')}</h3>
+        <WaterTracker user={user} updateWaterLog={updateWaterLog} />
+      </div>
+
       <div className="workout-summary">
-        <h3>סיכום אימונים</h3>
-        <p>אימונים השבוע: {thisWeekWorkouts.length}</p>
-        <p>סה"כ אימונים: {userWorkouts.length}</p>
+        <h3>{t('dashboard.workoutSummary')}</h3>
+        <p>{t('dashboard.workoutsThisWeek')}: {thisWeekWorkouts.length}</p>
+        <p>{t('dashboard.totalWorkouts')}: {userWorkouts.length}</p>
       </div>
 
       {lastMetric ? (
         <div className="metric-summary">
-          <h3>נתוני המדידה האחרונה:</h3>
+          <h3>{t('dashboard.lastMetric')}</h3>
           <ul>
-            <li>משקל: {lastMetric.weight}</li>
-            <li>אחוז שומן: {lastMetric.bodyFat}</li>
-            <li>חזה: {lastMetric.chest}</li>
-            <li>מותניים: {lastMetric.waist}</li>
-            <li>תאריך: {lastMetric.date}</li>
+            <li>{t('metrics.weight')}: {roundedDisplay(lastMetric.weight, units)} {unitLabel(units)}</li>
+            <li>{t('metrics.bodyFat')}: {lastMetric.bodyFat}</li>
+            <li>{t('metrics.chest')}: {roundedDisplay(lastMetric.chest, units, 'length')} {unitLabel(units, 'length')}</li>
+            <li>{t('metrics.waist')}: {roundedDisplay(lastMetric.waist, units, 'length')} {unitLabel(units, 'length')}</li>
+            <li>{t('common.date')}: {formatDate(lastMetric.date)}</li>
           </ul>
         </div>
       ) : (
-        <p>אין מדידות עדיין.</p>
+        <p>{t('metrics.none')}</p>
       )}
 
+      <div className="records-summary">
+        <h3>{t('records.title', { formula: ONE_REP_MAX_FORMULAS[user.oneRepMaxFormula || 'epley'] })}</h3>
+        <RecordsTable records={records} exercises={exercises} units={units} />
+      </div>
+
       {assignedProgram ? (
         <div className="program-summary">
-          <h3>התוכנית הנוכחית שלך:</h3>
+          <h3>{t('dashboard.currentProgram')}</h3>
           <h4>{assignedProgram.name}</h4>
           <p>{assignedProgram.description}</p>
-          <p>רמת קושי: {assignedProgram.difficulty}</p>
-          <p>משך זמן: {assignedProgram.duration}</p>
+          <p>{t('programs.difficulty')}: {difficultyLabel(assignedProgram.difficulty)}</p>
+          <p>{t('programs.duration')}: {assignedProgram.duration}</p>
+          {upNext && <p>{t('dashboard.upNext')}: <strong>{upNext.name}</strong></p>}
         </div>
       ) : (
-        <p>לא הוקצתה לך תוכנית.</p>
+        <p>{t('programs.noneAssigned')}</p>
       )}
     </div>
   );
 }
 
-// Programs page: trainers can create and assign programs; clients view their program
-function ProgramsPage({ user, programs, exercises, addProgram, updateProgram, assignProgram, users }) {
-  const [name, setName] = useState('');
-  const [description, setDescription] = useState('');
-  const [difficulty, setDifficulty] = useState('בינוני');
+// Staff dashboard: each client's program, recent activity and latest weight
+// change, with clients who haven't trained for a while flagged first
+function TrainerDashboard({ user, users, programs, workouts }) {
+  const alertDays = user.inactiveAlertDays || DEFAULT_INACTIVE_ALERT_DAYS;
+  const rows = clientsOverview(visibleClients(user, users), workouts, programs, alertDays);
+  const inactiveCount = rows.filter((row) => row.inactive).length;
+  const units = unitsOf(user);
+
+  const formatChange = ({ change }) => (
+    `${change > 0 ? '+' : ''}${formatNumber(roundedDisplay(change, units))} ${unitLabel(units)}`
+  );
+
+  return (
+    <div className="dashboard trainer-dashboard">
+      <h2>{t('overview.title')}</h2>
+      {rows.length === 0 ? (
+        <p>{t('overview.noClients')}</p>
+      ) : (
+        <>
+          {inactiveCount > 0 && (
+            <p className="warning">{t('overview.inactiveCount', { count: inactiveCount, days: alertDays })}</p>
+          )}
+          <table className="metrics-table client-overview">
+            <thead>
+              <tr>
+                <th>{t('common.client')}</th>
+                <th>{t('common.program')}</th>
+                <th>{t('overview.lastWorkout')}</th>
+                <th>{t('overview.thisWeek')}</th>
+                <th>{t('overview.weightChange')}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ client, program, lastWorkout, daysInactive, done, planned, metricChange, inactive }) => {
+                const base = `/clients/${encodeURIComponent(client.username)}`;
+                return (
+                  <tr key={client.id} className={inactive ? 'inactive' : ''}>
+                    <td>{client.fullName || client.username}</td>
+                    <td>{program ? <Link to={`/programs/${program.id}`}>{program.name}</Link> : '—'}</td>
+                    <td>
+                      {lastWorkout ? (
+                        <Link to={`/workouts/${lastWorkout.id}`}>{formatDate(lastWorkout.date)}</Link>
+                      ) : t('overview.never')}
+                      {inactive && lastWorkout && (
+                        <div className="warning">{t('overview.inactiveDays', { count: daysInactive })}</div>
+                      )}
+                    </td>
+                    <td className={done < planned ? 'behind' : ''}>{done} / {planned}</td>
+                    <td>
+                      {metricChange ? (
+                        <>
+                          {formatChange(metricChange)}
+                          <div className="muted">{formatDate(metricChange.date)}</div>
+                        </>
+                      ) : '—'}
+                    </td>
+                    <td className="client-actions">
+                      <Link to={`${base}/workouts`}>{t('overview.history')}</Link>
+                      <Link to={`${base}/metrics`}>{t('nav.metrics')}</Link>
+                      <Link to={`${base}/calendar`}>{t('nav.calendar')}</Link>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Programs page: trainers can create and assign programs; clients view their program
+function ProgramsPage({ user, programs, exercises, addProgram, updateProgram, duplicateProgram, assignProgram, users, programId }) {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [difficulty, setDifficulty] = useState('בינוני');
   const [duration, setDuration] = useState('');
   const [selectedUser, setSelectedUser] = useState('');
   const [selectedProgram, setSelectedProgram] = useState('');
-  const [editingProgram, setEditingProgram] = useState(null);
   const [message, setMessage] = useState('');
 
+  const myPrograms = visiblePrograms(user, programs, users);
+  const myClients = visibleClients(user, users);
+  // A program opened through /programs/:id; looked up on every render so the
+  // editor always shows the latest saved version
+  const routedProgram = programId ? myPrograms.find((p) => p.id === programId) : null;
+
+  if (programId && !routedProgram) {
+    return <NotFoundPage />;
+  }
+
   const handleCreate = (e) => {
     e.preventDefault();
     if (!name) return;
-    addProgram(name, description);
+    const result = addProgram(name, description);
+    if (!result.success) {
+      setMessage(result.message);
+      return;
+    }
     setName('');
     setDescription('');
-    setMessage('תוכנית נוצרה בהצלחה');
+    setMessage(t('programs.created'));
   };
 
   const handleAssign = (e) => {
     e.preventDefault();
     if (!selectedUser || !selectedProgram) return;
-    assignProgram(selectedUser, selectedProgram);
+    const result = assignProgram(selectedUser, selectedProgram);
+    if (!result.success) {
+      setMessage(result.message);
+      return;
+    }
     setSelectedUser('');
     setSelectedProgram('');
-    setMessage('התוכנית הוקצתה בהצלחה');
+    setMessage(t('programs.assigned'));
   };
 
-  const addExerciseToProgram = (programId, exerciseId) => {
-    const exercise = exercises.find(e => e.id === exerciseId);
-    if (!exercise) return;
-    
-    const program = programs.find(p => p.id === programId);
-    const newExercise = {
-      id: generateId(),
-      name: exercise.name,
-      sets: 3,
-      reps: 10,
-      weight: 0,
-      rest: 60,
-      notes: '',
-      muscleGroup: exercise.muscleGroup,
-      completed: false
-    };
-    
-    const updatedProgram = {
-      ...program,
-      exercises: [...program.exercises, newExercise]
-    };
-    updateProgram(programId, updatedProgram);
+  const handleDuplicate = (program) => {
+    const name = window.prompt(t('programs.duplicatePrompt'), t('programs.copyName', { name: program.name }));
+    if (!name) return;
+    const result = duplicateProgram(program.id, name);
+    setMessage(result.success ? t('programs.duplicated', { name }) : result.message);
   };
 
-  if (user.role === 'trainer') {
+  if (isStaff(user)) {
     return (
       <div className="programs-page">
-        <h2>ניהול תוכניות</h2>
+        <h2>{t('programs.manageTitle')}</h2>
         <form onSubmit={handleCreate} className="program-form">
-          <h3>צור תוכנית חדשה</h3>
+          <h3>{t('programs.createTitle')}</h3>
           <label>
-            שם:
+            {t('programs.name')}:
             <input type="text" value={name} onChange={(e) => setName(e.target.value)} required />
           </label>
           <label>
-            תיאור:
+            {t('programs.description')}:
             <textarea value={description} onChange={(e) => setDescription(e.target.value)} />
           </label>
           <label>
-            רמת קושי:
+            {t('programs.difficulty')}:
             <select value={difficulty} onChange={(e) => setDifficulty(e.target.value)}>
-              <option value="קל">קל</option>
-              <option value="בינוני">בינוני</option>
-              <option value="קשה">קשה</option>
+              {Object.keys(DIFFICULTY_LABELS).map((value) => (
+                <option key={value} value={value}>{difficultyLabel(value)}</option>
+              ))}
             </select>
           </label>
-          <button type="submit">שמור</button>
+          <button type="submit">{t('common.save')}</button>
         </form>
         <form onSubmit={handleAssign} className="assign-form">
-          <h3>הקצה תוכנית למשתמש</h3>
+          <h3>{t('programs.assignTitle')}</h3>
           <label>
-            מתאמן:
+            {t('common.client')}:
             <select value={selectedUser} onChange={(e) => setSelectedUser(e.target.value)}>
-              <option value="">בחר משתמש</option>
-              {users.filter((u) => u.role === 'client').map((u) => (
+              <option value="">{t('programs.chooseUser')}</option>
+              {myClients.map((u) => (
                 <option key={u.id} value={u.username}>{u.username}</option>
               ))}
             </select>
           </label>
           <label>
-            תוכנית:
+            {t('common.program')}:
             <select value={selectedProgram} onChange={(e) => setSelectedProgram(e.target.value)}>
-              <option value="">בחר תוכנית</option>
-              {programs.map((p) => (
+              <option value="">{t('programs.choose')}</option>
+              {myPrograms.filter((p) => isOwner(user) || p.ownerId === user.id).map((p) => (
                 <option key={p.id} value={p.id}>{p.name}</option>
               ))}
             </select>
           </label>
-          <button type="submit">הקצה</button>
+          <button type="submit">{t('programs.assign')}</button>
         </form>
         {message && <div className="message">{message}</div>}
         <div className="programs-list">
-          <h3>כל התוכניות</h3>
+          <h3>{isOwner(user) ? t('programs.all') : t('programs.mine')}</h3>
           <ul>
-            {programs.map((p) => (
+            {myPrograms.map((p) => (
               <li key={p.id}>
                 <div>
                   <strong>{p.name}</strong> – {p.description}
                   <br />
-                  רמת קושי: {p.difficulty} | משך זמן: {p.duration}
+                  {t('programs.difficulty')}: {difficultyLabel(p.difficulty)} | {t('programs.duration')}: {p.duration}
                   <br />
-                  תרגילים: {p.exercises.length}
+                  {t('programs.days')}: {p.days.length} | {t('programs.exercises')}: {programExercises(p).length}
+                  {p.phases.length > 0 && ` | ${t('programs.phases')}: ${p.phases.length}`}
+                  {' '}| {t('versions.version', { version: p.version })}
                 </div>
-                <button onClick={() => setEditingProgram(p)}>ערוך תוכנית</button>
+                <button onClick={() => navigate(`/programs/${p.id}`)}>
+                  {canEditProgram(user, p) ? t('programs.edit') : t('programs.view')}
+                </button>
+                <button onClick={() => handleDuplicate(p)}>{t('programs.duplicate')}</button>
               </li>
             ))}
           </ul>
         </div>
         
-        {editingProgram && (
+        {routedProgram && canEditProgram(user, routedProgram) && (
           <ProgramEditor 
-            program={editingProgram}
+            key={routedProgram.id}
+            program={routedProgram}
             exercises={exercises}
+            units={unitsOf(user)}
             updateProgram={updateProgram}
-            addExerciseToProgram={addExerciseToProgram}
-            onClose={() => setEditingProgram(null)}
+            onClose={() => navigate('/programs')}
           />
         )}
+        {routedProgram && !canEditProgram(user, routedProgram) && (
+          <div className="program-editor">
+            <ProgramDetails program={routedProgram} exercises={exercises} units={unitsOf(user)} />
+            <button onClick={() => navigate('/programs')}>{t('common.close')}</button>
+          </div>
+        )}
+        {routedProgram && <ProgramVersions key={routedProgram.id} program={routedProgram} users={users} />}
       </div>
     );
   } else {
@@ -653,208 +1547,613 @@ function ProgramsPage({ user, programs, exercises, addProgram, updateProgram, as
     const myProgram = programs.find((p) => p.id === user.assignedProgramId);
     return (
       <div className="programs-page">
-        <h2>התוכנית שלי</h2>
+        <h2>{t('programs.myProgram')}</h2>
         {myProgram ? (
-          <div className="program-details">
-            <h3>{myProgram.name}</h3>
-            <p>{myProgram.description}</p>
-            <p>רמת קושי: {myProgram.difficulty}</p>
-            <p>משך זמן: {myProgram.duration}</p>
-            <h4>תרגילים:</h4>
-            <ul>
-              {myProgram.exercises.map((ex, idx) => (
-                <li key={idx}>
-                  <strong>{ex.name}</strong> - {ex.sets} סטים × {ex.reps} חזרות
-                  {ex.weight > 0 && ` - ${ex.weight} ק"ג`}
-                  <br />
-                  מנוחה: {ex.rest} שניות | קבוצת שרירים: {ex.muscleGroup}
-                  {ex.notes && <br />}
-                  {ex.notes && <em>הערות: {ex.notes}</em>}
-                </li>
-              ))}
-            </ul>
-          </div>
+          <ProgramDetails program={myProgram} exercises={exercises} units={unitsOf(user)} />
         ) : (
-          <p>לא הוקצתה לך תוכנית.</p>
+          <p>{t('programs.noneAssigned')}</p>
         )}
       </div>
     );
   }
 }
 
-// Program Editor Component
-function ProgramEditor({ program, exercises, updateProgram, addExerciseToProgram, onClose }) {
-  const [selectedExercise, setSelectedExercise] = useState('');
-  
-  const removeExerciseFromProgram = (exerciseId) => {
-    const updatedProgram = {
-      ...program,
-      exercises: program.exercises.filter(e => e.id !== exerciseId)
+// Read-only view of a program: its workout days and phases
+function ProgramDetails({ program, exercises, units }) {
+  return (
+    <div className="program-details">
+      <h3>{program.name}</h3>
+      <p>{program.description}</p>
+      <p>{t('programs.difficulty')}: {difficultyLabel(program.difficulty)}</p>
+      <p>{t('programs.duration')}: {program.duration}</p>
+      {program.phases.length > 0 && (
+        <>
+          <h4>{t('programs.phases')}:</h4>
+          <ol className="phase-list">
+            {program.phases.map((phase) => (
+              <li key={phase.id}>{phase.name} – {t('programs.weeks', { count: phase.weeks })}</li>
+            ))}
+          </ol>
+        </>
+      )}
+      {program.days.map((day) => (
+        <div key={day.id} className="program-day">
+          <h4>{day.name}</h4>
+          <ul>
+            {groupBlocks(linkExercises(day.exercises, exercises), day.groups).flatMap((block) => [
+              block.group && (
+                <li key={block.group.id} className="group-label">
+                  {groupLabel(block.items.length)} – {t('programs.groupRest', { seconds: block.group.rest })}
+                </li>
+              ),
+              ...block.items.map(({ exercise: ex }) => (
+                <li key={ex.id} className={block.group ? 'grouped' : undefined}>
+                  <strong>{ex.name}</strong> - {describeTarget(ex, units)}
+                  {trackingOf(ex) === 'reps' && ex.weight > 0 && ` - ${formatWeight(ex.weight, units)}`}
+                  {ex.setTypes?.some((type) => type !== 'normal') && (
+                    <span className="phase-target">
+                      {' '}({Array.from({ length: ex.sets }, (_, i) => t(SET_TYPES[setTypeAt(ex, i)])).join(', ')})
+                    </span>
+                  )}
+                  {program.phases.map((phase) => phase.targets[ex.id] && (
+                    <span key={phase.id} className="phase-target">
+                      {' '}| {phase.name}: {phase.targets[ex.id].sets || ex.sets} × {phase.targets[ex.id].reps || ex.reps}
+                    </span>
+                  ))}
+                  <br />
+                  {t('programs.rest')}: {t('common.seconds', { count: ex.rest })} | {t('exercises.muscleGroup')}: {ex.muscleGroup}
+                  {ex.notes && <br />}
+                  {ex.notes && <em>{t('common.notes')}: {ex.notes}</em>}
+                  <ExerciseGuide exercise={exercises.find((e) => e.id === ex.libraryId)} />
+                </li>
+              ))
+            ])}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Program Editor Component. Edits a working copy of the program; saving it
+// records a new version.
+function ProgramEditor({ program: saved, exercises, units, updateProgram, onClose }) {
+  const [program, setProgram] = useState(saved);
+  // The saved version the working copy was started from
+  const [base, setBase] = useState(saved);
+  // Library exercise picked for each day's "add exercise" control
+  const [selectedExercise, setSelectedExercise] = useState({});
+  const [message, setMessage] = useState('');
+  const dirty = contentChanged(base, program);
+  const newerVersion = saved.version !== base.version;
+
+  // A newly saved version (here or synced from another device) becomes the
+  // working copy, unless that would throw away unsaved edits: then the
+  // trainer is asked first
+  useEffect(() => {
+    if (!dirty || !contentChanged(saved, program)) {
+      loadSaved();
+    }
+  }, [saved.version]);
+
+  const loadSaved = () => {
+    setProgram(saved);
+    setBase(saved);
+  };
+
+  const updateDays = (days) => setProgram({ ...program, days });
+
+  const updatePhases = (phases) => setProgram({ ...program, phases });
+
+  const saveVersion = () => {
+    const result = updateProgram(saved.id, program);
+    setMessage(result.success ? t('editor.savedVersion', { version: saved.version + 1 }) : result.message);
+  };
+
+  const close = () => {
+    if (dirty && !window.confirm(t('editor.confirmClose'))) return;
+    onClose();
+  };
+
+  const addExerciseToDay = (dayId, exerciseId) => {
+    const exercise = exercises.find(e => e.id === exerciseId);
+    if (!exercise) return;
+    
+    const newExercise = {
+      id: generateId(),
+      libraryId: exercise.id,
+      name: exercise.name,
+      sets: 3,
+      reps: 10,
+      weight: 0,
+      rest: 60,
+      notes: '',
+      muscleGroup: exercise.muscleGroup,
+      completed: false
     };
-    updateProgram(program.id, updatedProgram);
+    const day = program.days.find((d) => d.id === dayId);
+    updateDay(dayId, { exercises: [...day.exercises, newExercise] });
+  };
+
+  const updateDay = (dayId, changes) => {
+    updateDays(program.days.map((d) => (d.id === dayId ? { ...d, ...changes } : d)));
+  };
+
+  // New days take the first name no day has yet (Day A, Day B, ... then
+  // numbers past Z), so removing a day doesn't lead to two of the same
+  const addDay = () => {
+    const taken = new Set(program.days.map((d) => d.name));
+    let name;
+    for (let i = 0; !name || taken.has(name); i++) {
+      name = t('programs.dayName', { letter: i < 26 ? String.fromCharCode(65 + i) : i + 1 });
+    }
+    updateDays([...program.days, { id: generateId(), name, exercises: [] }]);
+  };
+
+  const removeDay = (day) => {
+    if (!window.confirm(t('editor.confirmRemoveDay', { name: day.name }))) return;
+    updateDays(program.days.filter((d) => d.id !== day.id));
+  };
+
+  // Structural edits keep each day's supersets and circuits consistent
+  const removeExerciseFromProgram = (dayId, exerciseId) => {
+    const day = program.days.find((d) => d.id === dayId);
+    updateDay(dayId, normalizeGroups({ ...day, exercises: day.exercises.filter((e) => e.id !== exerciseId) }));
+  };
+
+  const moveExercise = (day, index, delta) => {
+    const exercises = [...day.exercises];
+    [exercises[index], exercises[index + delta]] = [exercises[index + delta], exercises[index]];
+    updateDay(day.id, normalizeGroups({ ...day, exercises }));
+  };
+
+  const updateGroupRest = (day, groupId, rest) => {
+    updateDay(day.id, { groups: (day.groups || []).map((g) => (g.id === groupId ? { ...g, rest } : g)) });
+  };
+
+  const updateSetType = (day, ex, setIndex, type) => {
+    const setTypes = Array.from({ length: ex.sets }, (_, i) => setTypeAt(ex, i));
+    setTypes[setIndex] = type;
+    updateExerciseInProgram(day.id, ex.id, 'setTypes', setTypes);
   };
   
-  const updateExerciseInProgram = (exerciseId, field, value) => {
-    const updatedProgram = {
-      ...program,
-      exercises: program.exercises.map(e => 
-        e.id === exerciseId ? { ...e, [field]: value } : e
-      )
+  // A cleared number input removes the field rather than storing NaN, which
+  // would be saved, versioned and synced
+  const updateExerciseInProgram = (dayId, exerciseId, field, value) => {
+    const day = program.days.find((d) => d.id === dayId);
+    const change = (e) => {
+      if (!Number.isNaN(value)) return { ...e, [field]: value };
+      const { [field]: cleared, ...rest } = e;
+      return rest;
     };
-    updateProgram(program.id, updatedProgram);
+    updateDay(dayId, {
+      exercises: day.exercises.map((e) => (e.id === exerciseId ? change(e) : e))
+    });
+  };
+
+  const addPhase = () => {
+    updatePhases([...program.phases, { id: generateId(), name: t('editor.phaseName', { number: program.phases.length + 1 }), weeks: 4, targets: {} }]);
+  };
+
+  const updatePhase = (phaseId, changes) => {
+    updatePhases(program.phases.map((p) => (p.id === phaseId ? { ...p, ...changes } : p)));
+  };
+
+  // An empty input clears the phase's target so the day's value applies
+  const updatePhaseTarget = (phase, exerciseId, field, value) => {
+    const target = { ...phase.targets[exerciseId], [field]: value };
+    if (!(value > 0)) delete target[field];
+    const targets = { ...phase.targets, [exerciseId]: target };
+    if (Object.keys(target).length === 0) delete targets[exerciseId];
+    updatePhase(phase.id, { targets });
   };
 
   return (
     <div className="program-editor">
-      <h3>עריכת תוכנית: {program.name}</h3>
-      
-      <div className="add-exercise">
-        <h4>הוסף תרגיל</h4>
-        <select 
-          value={selectedExercise} 
-          onChange={(e) => setSelectedExercise(e.target.value)}
-        >
-          <option value="">בחר תרגיל</option>
-          {exercises.map(ex => (
-            <option key={ex.id} value={ex.id}>{ex.name} ({ex.muscleGroup})</option>
-          ))}
-        </select>
-        <button 
-          onClick={() => {
-            if (selectedExercise) {
-              addExerciseToProgram(program.id, selectedExercise);
-              setSelectedExercise('');
-            }
-          }}
-        >
-          הוסף תרגיל
-        </button>
-      </div>
-      
-      <div className="exercises-list">
-        <h4>תרגילים בתוכנית</h4>
-        {program.exercises.map(ex => (
-          <div key={ex.id} className="exercise-editor">
-            <h5>{ex.name}</h5>
-            <div className="exercise-params">
-              <label>
-                סטים:
-                <input 
-                  type="number" 
-                  value={ex.sets} 
-                  onChange={(e) => updateExerciseInProgram(ex.id, 'sets', parseInt(e.target.value))}
-                />
-              </label>
-              <label>
-                חזרות:
-                <input 
-                  type="number" 
-                  value={ex.reps} 
-                  onChange={(e) => updateExerciseInProgram(ex.id, 'reps', parseInt(e.target.value))}
-                />
-              </label>
-              <label>
-                משקל (ק"ג):
-                <input 
-                  type="number" 
-                  value={ex.weight} 
-                  onChange={(e) => updateExerciseInProgram(ex.id, 'weight', parseFloat(e.target.value))}
-                />
-              </label>
-              <label>
-                מנוחה (שניות):
-                <input 
-                  type="number" 
-                  value={ex.rest} 
-                  onChange={(e) => updateExerciseInProgram(ex.id, 'rest', parseInt(e.target.value))}
-                />
-              </label>
-            </div>
+      <h3>{t('editor.title', { name: program.name })}</h3>
+      {newerVersion && (
+        <div className="newer-version">
+          <p>{t('editor.newerVersion', { version: saved.version })}</p>
+          <button type="button" onClick={loadSaved}>{t('editor.loadNewer')}</button>
+          <button type="button" onClick={() => setBase(saved)}>{t('editor.keepEdits')}</button>
+        </div>
+      )}
+
+      <div className="phases-editor">
+        <h4>{t('editor.phasesTitle')}</h4>
+        {program.phases.length === 0 && <p>{t('editor.noPhases')}</p>}
+        {program.phases.map((phase) => (
+          <div key={phase.id} className="phase-row">
+            <input
+              type="text"
+              value={phase.name}
+              onChange={(e) => updatePhase(phase.id, { name: e.target.value })}
+            />
             <label>
-              הערות:
-              <textarea 
-                value={ex.notes} 
-                onChange={(e) => updateExerciseInProgram(ex.id, 'notes', e.target.value)}
+              {t('editor.weeks')}:
+              <input
+                type="number"
+                min="1"
+                value={phase.weeks}
+                onChange={(e) => updatePhase(phase.id, { weeks: Math.max(1, parseInt(e.target.value) || 1) })}
               />
             </label>
-            <button onClick={() => removeExerciseFromProgram(ex.id)}>הסר תרגיל</button>
+            <button onClick={() => updatePhases(program.phases.filter((p) => p.id !== phase.id))}>{t('editor.removePhase')}</button>
           </div>
         ))}
+        <button onClick={addPhase}>{t('editor.addPhase')}</button>
       </div>
-      
-      <button onClick={onClose}>סגור עורך</button>
+
+      {program.days.map((day) => (
+        <div key={day.id} className="day-editor">
+          <div className="day-header">
+            <input
+              type="text"
+              value={day.name}
+              onChange={(e) => updateDay(day.id, { name: e.target.value })}
+            />
+            {program.days.length > 1 && <button onClick={() => removeDay(day)}>{t('editor.removeDay')}</button>}
+          </div>
+
+          <div className="add-exercise">
+            <select 
+              value={selectedExercise[day.id] || ''} 
+              onChange={(e) => setSelectedExercise({ ...selectedExercise, [day.id]: e.target.value })}
+            >
+              <option value="">{t('editor.chooseExercise')}</option>
+              {exercises.map(ex => (
+                <option key={ex.id} value={ex.id}>{ex.name} ({ex.muscleGroup})</option>
+              ))}
+            </select>
+            <button 
+              onClick={() => {
+                if (selectedExercise[day.id]) {
+                  addExerciseToDay(day.id, selectedExercise[day.id]);
+                  setSelectedExercise({ ...selectedExercise, [day.id]: '' });
+                }
+              }}
+            >
+              {t('editor.addExercise')}
+            </button>
+          </div>
+
+          <div className="exercises-list">
+            {day.exercises.length === 0 && <p>{t('editor.noExercises')}</p>}
+            {groupBlocks(linkExercises(day.exercises, exercises), day.groups).map((block) => (
+              <div key={block.group?.id || block.items[0].exercise.id} className={block.group ? 'exercise-group' : undefined}>
+                {block.group && (
+                  <div className="group-header">
+                    <strong>{groupLabel(block.items.length)}</strong>
+                    <label>
+                      {t('editor.groupRest')}:
+                      <input
+                        type="number"
+                        value={block.group.rest}
+                        onChange={(e) => updateGroupRest(day, block.group.id, parseInt(e.target.value))}
+                      />
+                    </label>
+                  </div>
+                )}
+                {block.items.map(({ exercise: ex, index }) => (
+                  <div key={ex.id} className="exercise-editor">
+                    <h5>{ex.name}</h5>
+                    <label>
+                      {t('editor.tracking')}:
+                      <select
+                        value={trackingOf(ex)}
+                        onChange={(e) => updateExerciseInProgram(day.id, ex.id, 'tracking', e.target.value)}
+                      >
+                        {Object.entries(TRACKING_TYPES).map(([type, label]) => (
+                          <option key={type} value={type}>{t(label)}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <div className="exercise-params">
+                      <label>
+                        {trackingOf(ex) === 'reps' ? t('editor.sets') : t('editor.rounds')}:
+                        <input 
+                          type="number" 
+                          value={ex.sets ?? ''} 
+                          onChange={(e) => updateExerciseInProgram(day.id, ex.id, 'sets', parseInt(e.target.value))}
+                        />
+                      </label>
+                      {trackingOf(ex) === 'reps' && (
+                        <>
+                          <label>
+                            {t('editor.reps')}:
+                            <input 
+                              type="number" 
+                              value={ex.reps ?? ''} 
+                              onChange={(e) => updateExerciseInProgram(day.id, ex.id, 'reps', parseInt(e.target.value))}
+                            />
+                          </label>
+                          <label>
+                            {t('editor.weight', { unit: unitLabel(units) })}:
+                            <input 
+                              type="number" 
+                              value={toDisplay(ex.weight, units) ?? ''} 
+                              onChange={(e) => updateExerciseInProgram(day.id, ex.id, 'weight', fromDisplay(parseFloat(e.target.value), units))}
+                            />
+                          </label>
+                          <label>
+                            {t('editor.increment', { unit: unitLabel(units) })}:
+                            <input 
+                              type="number" 
+                              step="0.25"
+                              value={toDisplay(ex.increment ?? incrementFor(ex), units)} 
+                              onChange={(e) => updateExerciseInProgram(day.id, ex.id, 'increment', fromDisplay(parseFloat(e.target.value), units))}
+                            />
+                          </label>
+                        </>
+                      )}
+                      {tracksDistance(trackingOf(ex)) && (
+                        <label>
+                          {t('editor.distance', { unit: unitLabel(units, 'distance') })}:
+                          <input
+                            type="number"
+                            value={toDisplay(ex.distance, units, 'distance') ?? ''}
+                            onChange={(e) => updateExerciseInProgram(day.id, ex.id, 'distance', fromDisplay(parseFloat(e.target.value), units, 'distance'))}
+                          />
+                        </label>
+                      )}
+                      {tracksDuration(trackingOf(ex)) && (
+                        <label>
+                          {trackingOf(ex) === 'duration' ? t('editor.workTime') : t('editor.targetTime')}:
+                          <input
+                            type="number"
+                            value={ex.duration ?? ''}
+                            onChange={(e) => updateExerciseInProgram(day.id, ex.id, 'duration', parseInt(e.target.value))}
+                          />
+                        </label>
+                      )}
+                      <label>
+                        {t('editor.rest')}:
+                        <input 
+                          type="number" 
+                          value={ex.rest ?? ''} 
+                          onChange={(e) => updateExerciseInProgram(day.id, ex.id, 'rest', parseInt(e.target.value))}
+                        />
+                      </label>
+                    </div>
+                    {program.phases.length > 0 && (
+                      <div className="phase-targets">
+                        {program.phases.map((phase) => (
+                          <div key={phase.id} className="exercise-params">
+                            <span>{phase.name}:</span>
+                            <label>
+                              {t('editor.sets')}:
+                              <input
+                                type="number"
+                                placeholder={ex.sets}
+                                value={phase.targets[ex.id]?.sets ?? ''}
+                                onChange={(e) => updatePhaseTarget(phase, ex.id, 'sets', parseInt(e.target.value))}
+                              />
+                            </label>
+                            <label>
+                              {t('editor.reps')}:
+                              <input
+                                type="number"
+                                placeholder={ex.reps}
+                                value={phase.targets[ex.id]?.reps ?? ''}
+                                onChange={(e) => updatePhaseTarget(phase, ex.id, 'reps', parseInt(e.target.value))}
+                              />
+                            </label>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    <label>
+                      {t('common.notes')}:
+                      <textarea 
+                        value={ex.notes} 
+                        onChange={(e) => updateExerciseInProgram(day.id, ex.id, 'notes', e.target.value)}
+                      />
+                    </label>
+                    <div className="set-types">
+                      {t('editor.setTypes')}:
+                      {Array.from({ length: ex.sets || 0 }, (_, setIndex) => (
+                        <select
+                          key={setIndex}
+                          value={setTypeAt(ex, setIndex)}
+                          onChange={(e) => updateSetType(day, ex, setIndex, e.target.value)}
+                        >
+                          {Object.entries(SET_TYPES).map(([type, label]) => (
+                            <option key={type} value={type}>{setIndex + 1}: {t(label)}</option>
+                          ))}
+                        </select>
+                      ))}
+                    </div>
+                    <div className="exercise-order">
+                      <button disabled={index === 0} onClick={() => moveExercise(day, index, -1)}>↑</button>
+                      <button disabled={index === day.exercises.length - 1} onClick={() => moveExercise(day, index, 1)}>↓</button>
+                      <button onClick={() => removeExerciseFromProgram(day.id, ex.id)}>{t('editor.removeExercise')}</button>
+                    </div>
+                    {index < day.exercises.length - 1 && (
+                      <button className="link-toggle" onClick={() => updateDay(day.id, toggleLink(day, index))}>
+                        {ex.groupId && ex.groupId === day.exercises[index + 1].groupId
+                          ? t('editor.unlink')
+                          : t('editor.link')}
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      <button onClick={addDay}>{t('editor.addDay')}</button>
+
+      <div className="editor-actions">
+        <button onClick={saveVersion} disabled={!dirty}>{t('editor.saveVersion', { version: saved.version + 1 })}</button>
+        <button onClick={() => setProgram(saved)} disabled={!dirty}>{t('editor.discard')}</button>
+        <button onClick={close}>{t('editor.close')}</button>
+      </div>
+      {message && <div className="message">{message}</div>}
+    </div>
+  );
+}
+
+// A program's saved versions and the changes between any two of them
+function ProgramVersions({ program, users }) {
+  const versions = program.versions || [];
+  // Compare the latest version with the one before it until others are picked
+  const [pickedFrom, setFrom] = useState(null);
+  const [pickedTo, setTo] = useState(null);
+  const from = pickedFrom ?? Math.max(1, program.version - 1);
+  const to = pickedTo ?? program.version;
+  const userName = (id) => {
+    const u = users.find((user) => user.id === id);
+    return u ? u.fullName || u.username : t('common.unknown');
+  };
+
+  if (versions.length < 2) return null;
+
+  const lines = diffVersions(programAtVersion(program, from), programAtVersion(program, to));
+  const versionSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(Number(e.target.value))}>
+      {versions.map((v) => (
+        <option key={v.version} value={v.version}>
+          {t('versions.version', { version: v.version })}{v.savedAt ? ` – ${formatDate(v.savedAt)}` : ''}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="program-versions">
+      <h3>{t('versions.title')}</h3>
+      <ul className="version-list">
+        {versions.slice().reverse().map((v) => (
+          <li key={v.version}>
+            {t('versions.version', { version: v.version })}
+            {v.savedAt && ` – ${formatDate(v.savedAt)}`}
+            {' '}({userName(v.savedBy)})
+          </li>
+        ))}
+      </ul>
+      <div className="version-compare">
+        {t('versions.compare')} {versionSelect(from, setFrom)} {t('versions.compareTo')} {versionSelect(to, setTo)}
+      </div>
+      {lines.length === 0 ? (
+        <p>{t('versions.noChanges')}</p>
+      ) : (
+        <ul className="version-diff">
+          {lines.map((line, idx) => (
+            <li key={idx} className={line.kind}>
+              <strong>{line.subject}</strong>
+              {line.kind === 'added' && ` – ${t('versions.added')}`}
+              {line.kind === 'removed' && ` – ${t('versions.removed')}`}
+              {line.detail && `: ${line.detail}`}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
 // Metrics page: form to add metrics and list of all metrics
-function MetricsPage({ user, addMetric }) {
+// user is whose metrics are shown; viewer is the logged-in user (staff can
+// open their clients' metrics via /clients/:username/metrics)
+function MetricsPage({ user, viewer, users, addMetric }) {
   const [weight, setWeight] = useState('');
   const [bodyFat, setBodyFat] = useState('');
   const [chest, setChest] = useState('');
   const [waist, setWaist] = useState('');
   const [message, setMessage] = useState('');
+  const [range, setRange] = useState('3m');
+  const units = unitsOf(viewer);
 
   const submit = (e) => {
     e.preventDefault();
     if (!weight) return;
     const entry = {
-      date: new Date().toLocaleDateString('he-IL'),
-      weight: parseFloat(weight),
+      date: new Date().toISOString(),
+      weight: fromDisplay(parseFloat(weight), units),
       bodyFat: parseFloat(bodyFat || '0'),
-      chest: parseFloat(chest || '0'),
-      waist: parseFloat(waist || '0')
+      chest: fromDisplay(parseFloat(chest || '0'), units, 'length'),
+      waist: fromDisplay(parseFloat(waist || '0'), units, 'length')
     };
     addMetric(user.id, entry);
     setWeight('');
     setBodyFat('');
     setChest('');
     setWaist('');
-    setMessage('המדידה נשמרה בהצלחה');
+    setMessage(t('metrics.saved'));
   };
 
   return (
     <div className="metrics-page">
-      <h2>מדדים</h2>
+      <h2>{viewer.id === user.id ? t('metrics.title') : `${t('metrics.title')} - ${user.fullName || user.username}`}</h2>
+      {isStaff(viewer) && visibleClients(viewer, users).length > 0 && (
+        <div className="client-links">
+          {t('metrics.clients')}:
+          {visibleClients(viewer, users).map((c) => (
+            <Link key={c.id} to={`/clients/${encodeURIComponent(c.username)}/metrics`}>
+              {c.fullName || c.username}
+            </Link>
+          ))}
+        </div>
+      )}
       <form onSubmit={submit} className="metric-form">
         <label>
-          משקל (ק"ג):
+          {t('metrics.weight')} ({unitLabel(units)}):
           <input type="number" value={weight} onChange={(e) => setWeight(e.target.value)} required />
         </label>
         <label>
-          אחוז שומן (%):
+          {t('metrics.bodyFat')} (%):
           <input type="number" value={bodyFat} onChange={(e) => setBodyFat(e.target.value)} />
         </label>
         <label>
-          חזה (ס"מ):
+          {t('metrics.chest')} ({unitLabel(units, 'length')}):
           <input type="number" value={chest} onChange={(e) => setChest(e.target.value)} />
         </label>
         <label>
-          מותניים (ס"מ):
+          {t('metrics.waist')} ({unitLabel(units, 'length')}):
           <input type="number" value={waist} onChange={(e) => setWaist(e.target.value)} />
         </label>
-        <button type="submit">שמור מדידה</button>
+        <button type="submit">{t('metrics.save')}</button>
         {message && <div className="message">{message}</div>}
       </form>
-      <h3>היסטוריית מדידות</h3>
+      <h3>{t('metrics.progress')}</h3>
+      <div className="range-selector">
+        {RANGES.map((r) => (
+          <button key={r.key} className={range === r.key ? 'active' : ''} onClick={() => setRange(r.key)}>
+            {t(r.label)}
+          </button>
+        ))}
+      </div>
+      <div className="metric-charts">
+        {METRIC_FIELDS.map((field) => (
+          <MetricChart
+            key={field.key}
+            field={field}
+            points={metricSeries(user.metrics, field.key, range)}
+            goal={user.goals?.[field.key]}
+            units={units}
+          />
+        ))}
+      </div>
+      <h3>{t('metrics.history')}</h3>
       <table className="metrics-table">
         <thead>
           <tr>
-            <th>תאריך</th>
-            <th>משקל</th>
-            <th>אחוז שומן</th>
-            <th>חזה</th>
-            <th>מותניים</th>
+            <th>{t('common.date')}</th>
+            <th>{t('metrics.weight')} ({unitLabel(units)})</th>
+            <th>{t('metrics.bodyFat')}</th>
+            <th>{t('metrics.chest')} ({unitLabel(units, 'length')})</th>
+            <th>{t('metrics.waist')} ({unitLabel(units, 'length')})</th>
           </tr>
         </thead>
         <tbody>
           {user.metrics.map((m, idx) => (
             <tr key={idx}>
-              <td>{m.date}</td>
-              <td>{m.weight}</td>
+              <td>{formatDate(m.date)}</td>
+              <td>{roundedDisplay(m.weight, units)}</td>
               <td>{m.bodyFat}</td>
-              <td>{m.chest}</td>
-              <td>{m.waist}</td>
+              <td>{roundedDisplay(m.chest, units, 'length')}</td>
+              <td>{roundedDisplay(m.waist, units, 'length')}</td>
             </tr>
           ))}
         </tbody>
@@ -863,24 +2162,225 @@ function MetricsPage({ user, addMetric }) {
   );
 }
 
+// Chart card for one body metric: the line, the goal, the trend and a
+// projection, all in the viewer's units
+function MetricChart({ field, points: stored, goal: storedGoal, units }) {
+  const points = stored.map((p) => ({ ...p, value: toDisplay(p.value, units, field.kind) }));
+  const goal = toDisplay(storedGoal, units, field.kind);
+  const unit = unitLabel(units, field.kind);
+  const trend = linearTrend(points);
+  const perWeek = trend ? Math.round(trend.slopePerDay * 7 * 100) / 100 : null;
+  const projected = projectGoalDate(points, goal);
+  return (
+    <div className="metric-chart">
+      <h4>{t(field.label)}</h4>
+      {points.length === 0 ? (
+        <p>{t('metrics.noneInRange')}</p>
+      ) : (
+        <LineChart points={points} goal={goal} trend={trend} />
+      )}
+      {perWeek !== null && (
+        <p>{t('metrics.trend', { change: `${perWeek > 0 ? '+' : ''}${formatNumber(perWeek)} ${unit}` })}</p>
+      )}
+      {goal > 0 && <p>{t('metrics.goal')}: {roundedDisplay(storedGoal, units, field.kind)} {unit}</p>}
+      {goal > 0 && points.length > 0 && (
+        projected
+          ? <p>{t('metrics.projected', { date: formatDate(projected.toISOString()) })}</p>
+          : trend && <p className="warning">{t('metrics.notApproaching')}</p>
+      )}
+    </div>
+  );
+}
+
+// Minimal SVG line chart: values over time, optional goal line and trend line.
+// Drawn locally so it works offline without a charting library.
+function LineChart({ points, goal, trend, width = 320, height = 160 }) {
+  const pad = 28;
+  const values = points.map((p) => p.value).concat(goal > 0 ? [goal] : []);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const tMin = points[0].t;
+  const tMax = points[points.length - 1].t;
+  const x = (t) => (tMax === tMin ? width / 2 : pad + ((t - tMin) / (tMax - tMin)) * (width - 2 * pad));
+  const y = (v) => height - pad - ((v - min) / (max - min)) * (height - 2 * pad);
+  const line = points.map((p) => `${x(p.t)},${y(p.value)}`).join(' ');
+  const trendValue = (t) => trend.intercept + trend.slopePerDay * ((t - trend.t0) / 86400000);
+
+  return (
+    <svg className="line-chart" viewBox={`0 0 ${width} ${height}`} role="img">
+      <text x={4} y={y(max) + 4} className="axis-label">{Math.round(max * 10) / 10}</text>
+      <text x={4} y={y(min) + 4} className="axis-label">{Math.round(min * 10) / 10}</text>
+      <line x1={pad} y1={height - pad} x2={width - pad} y2={height - pad} className="axis" />
+      {goal > 0 && (
+        <line x1={pad} y1={y(goal)} x2={width - pad} y2={y(goal)} className="goal-line" />
+      )}
+      {trend && (
+        <line x1={x(tMin)} y1={y(trendValue(tMin))} x2={x(tMax)} y2={y(trendValue(tMax))} className="trend-line" />
+      )}
+      <polyline points={line} className="value-line" />
+      {points.map((p) => (
+        <circle key={p.t} cx={x(p.t)} cy={y(p.value)} r={3} className="value-point">
+          <title>{`${formatDate(new Date(p.t).toISOString())}: ${p.value}`}</title>
+        </circle>
+      ))}
+      <text x={pad} y={height - 8} className="axis-label">{formatDate(new Date(tMin).toISOString())}</text>
+      <text x={width - pad} y={height - 8} className="axis-label" textAnchor="end">
+        {formatDate(new Date(tMax).toISOString())}
+      </text>
+    </svg>
+  );
+}
+
 // Workouts page: track and complete workouts
-function WorkoutsPage({ user, programs, workouts, completeWorkout }) {
+function WorkoutsPage({ user, users, programs, workouts, exercises, unreadWorkouts, completeWorkout, autoResume }) {
   const [selectedProgram, setSelectedProgram] = useState('');
+  const [selectedDay, setSelectedDay] = useState('');
+  // The session in progress: { program, day, phase, exercises }
   const [workoutInProgress, setWorkoutInProgress] = useState(null);
   const [exerciseResults, setExerciseResults] = useState([]);
   const [workoutNotes, setWorkoutNotes] = useState('');
   const [message, setMessage] = useState('');
+  const [newRecords, setNewRecords] = useState([]);
+  const [startedAt, setStartedAt] = useState(null);
+  const [restTimer, setRestTimer] = useState(null);
+  // Interval timer for a time-based exercise: { exerciseIndex, setIndex, phase: 'work' | 'rest', endsAt }
+  const [intervalTimer, setIntervalTimer] = useState(null);
+  const [draft, setDraft] = useState(() => loadDraft(user.id, user.draftMaxAgeHours));
+  const now = useNow(Boolean(workoutInProgress));
+
+  // Keep a draft of the session so a reload or crash doesn't lose logged sets
+  useEffect(() => {
+    if (workoutInProgress) {
+      saveDraft(user.id, {
+        programId: workoutInProgress.program.id,
+        dayId: workoutInProgress.day.id,
+        phaseId: workoutInProgress.phase?.id ?? null,
+        exerciseResults,
+        workoutNotes,
+        startedAt
+      });
+    }
+  }, [workoutInProgress, exerciseResults, workoutNotes, startedAt]);
+
+  // Coming from the dashboard's resume prompt: pick the draft up straight away
+  useEffect(() => {
+    if (autoResume && draft) {
+      resumeDraft();
+    }
+  }, []);
+
+  // Alert once when the rest countdown reaches zero
+  useEffect(() => {
+    if (restTimer && !restTimer.alerted && now >= restTimer.endsAt) {
+      alertRestOver();
+      setRestTimer({ ...restTimer, alerted: true });
+    }
+  }, [now, restTimer]);
+
+  // Run a time-based exercise's rounds: each work period is logged when it
+  // ends, followed by the exercise's rest and the next round. Rounds already
+  // logged by hand keep their values and are skipped.
+  useEffect(() => {
+    if (!intervalTimer || now < intervalTimer.endsAt) return;
+    const { exerciseIndex, setIndex, phase } = intervalTimer;
+    const exercise = workoutInProgress.exercises[exerciseIndex];
+    alertRestOver();
+    if (phase === 'rest') {
+      const round = nextOpenRound(exerciseIndex, setIndex);
+      setIntervalTimer(round === null ? null : intervalWork(exerciseIndex, round));
+      return;
+    }
+    const next = nextOpenRound(exerciseIndex, setIndex + 1);
+    const last = next === null;
+    if (!exerciseResults[exerciseIndex].completedSets[setIndex]) {
+      completeSet(exerciseIndex, setIndex, { duration: exercise.duration || 0 }, last);
+    }
+    if (last) {
+      setIntervalTimer(null);
+    } else if (exercise.rest > 0) {
+      setIntervalTimer({ exerciseIndex, setIndex: next, phase: 'rest', endsAt: Date.now() + exercise.rest * 1000 });
+    } else {
+      setIntervalTimer(intervalWork(exerciseIndex, next));
+    }
+  }, [now, intervalTimer]);
 
   const userWorkouts = workouts.filter(w => w.userId === user.id);
-  const availablePrograms = user.role === 'trainer' ? programs : programs.filter(p => p.id === user.assignedProgramId);
+  const availablePrograms = visiblePrograms(user, programs, users);
+  // The program picked to start: the day proposed next in its rotation and
+  // the phase the user is in
+  const chosenProgram = availablePrograms.find((p) => p.id === selectedProgram);
+  const proposedDay = chosenProgram ? nextDay(chosenProgram, workouts, user.id) : null;
+  const chosenPhase = chosenProgram ? currentPhase(chosenProgram, workouts, user.id) : null;
+
+  const buildSession = (program, day, phase) => ({
+    program,
+    day,
+    phase,
+    exercises: linkExercises(sessionExercises(day, phase), exercises)
+  });
+
+  const units = unitsOf(user);
+
+  // Progressive overload: what was logged last time and the suggested next target
+  const suggestions = workoutInProgress
+    ? workoutInProgress.exercises.map((ex) => {
+      const last = findLastResult(workouts, user.id, ex.id);
+      return { last: describeResult(last, units), ...suggestNext(ex, last, units) };
+    })
+    : [];
+
+  const resumeDraft = () => {
+    const program = availablePrograms.find((p) => p.id === draft.programId);
+    setDraft(null);
+    if (!program) {
+      clearDraft(user.id);
+      setMessage(t('workouts.draftProgramGone'));
+      return;
+    }
+    const phase = program.phases.find((p) => p.id === draft.phaseId) || null;
+    setWorkoutInProgress(buildSession(program, findDay(program, draft.dayId), phase));
+    setExerciseResults(draft.exerciseResults);
+    setWorkoutNotes(draft.workoutNotes || '');
+    setStartedAt(draft.startedAt);
+    setRestTimer(null);
+    setIntervalTimer(null);
+  };
 
-  const startWorkout = (programId) => {
+  const discardDraft = () => {
+    if (!window.confirm(t('workouts.confirmDiscardDraft'))) return;
+    clearDraft(user.id);
+    setDraft(null);
+  };
+
+  const cancelWorkout = () => {
+    if (!window.confirm(t('workouts.confirmCancel'))) return;
+    clearDraft(user.id);
+    setWorkoutInProgress(null);
+    setExerciseResults([]);
+    setWorkoutNotes('');
+    setStartedAt(null);
+    setRestTimer(null);
+    setIntervalTimer(null);
+  };
+
+  const startWorkout = (programId, dayId) => {
     const program = programs.find(p => p.id === programId);
     if (!program) return;
+    if (draft && !window.confirm(t('workouts.confirmReplaceDraft'))) return;
+    setDraft(null);
     
-    setWorkoutInProgress(program);
-    setExerciseResults(program.exercises.map(ex => ({
+    const session = buildSession(program, findDay(program, dayId), currentPhase(program, workouts, user.id)?.phase || null);
+    setWorkoutInProgress(session);
+    setStartedAt(Date.now());
+    setRestTimer(null);
+    setIntervalTimer(null);
+    setExerciseResults(session.exercises.map(ex => ({
       exerciseId: ex.id,
+      libraryId: ex.libraryId,
       name: ex.name,
       sets: ex.sets,
       completedSets: [],
@@ -888,119 +2388,361 @@ function WorkoutsPage({ user, programs, workouts, completeWorkout }) {
     })));
   };
 
-  const completeSet = (exerciseIndex, setIndex, reps, weight) => {
+  // Log a set's values ({ reps, weight } or { duration, distance }). The
+  // interval timer logs its rounds without the rest countdown.
+  const completeSet = (exerciseIndex, setIndex, values, withRest = true) => {
+    const exercise = workoutInProgress.exercises[exerciseIndex];
     const newResults = [...exerciseResults];
     if (!newResults[exerciseIndex].completedSets[setIndex]) {
       newResults[exerciseIndex].completedSets[setIndex] = {};
+      // A newly logged set starts the rest countdown (none mid-superset or
+      // before a drop set)
+      const rest = restAfterSet(workoutInProgress.exercises, workoutInProgress.day.groups, exerciseIndex, setIndex);
+      if (withRest && rest > 0) {
+        startRest(exercise.name, rest);
+      }
     }
-    newResults[exerciseIndex].completedSets[setIndex] = { reps: parseInt(reps), weight: parseFloat(weight) };
+    // A cleared input leaves its field out rather than storing NaN, which a
+    // draft would save as null
+    const set = Object.fromEntries(Object.entries(values).filter(([, value]) => !Number.isNaN(value)));
+    newResults[exerciseIndex].completedSets[setIndex] = { ...set, type: setTypeAt(exercise, setIndex) };
     setExerciseResults(newResults);
   };
 
+  // First round from setIndex on that hasn't been logged yet, or null
+  const nextOpenRound = (exerciseIndex, setIndex) => {
+    const { completedSets } = exerciseResults[exerciseIndex];
+    for (let i = setIndex; i < workoutInProgress.exercises[exerciseIndex].sets; i++) {
+      if (!completedSets[i]) return i;
+    }
+    return null;
+  };
+
+  const intervalWork = (exerciseIndex, setIndex) => {
+    const seconds = workoutInProgress.exercises[exerciseIndex].duration || 0;
+    return { exerciseIndex, setIndex, phase: 'work', endsAt: Date.now() + seconds * 1000 };
+  };
+
+  const startInterval = (exerciseIndex, setIndex) => {
+    setRestTimer(null);
+    setIntervalTimer(intervalWork(exerciseIndex, setIndex));
+  };
+
+  const startRest = (exerciseName, seconds) => {
+    setRestTimer({ exerciseName, endsAt: Date.now() + seconds * 1000, alerted: false });
+  };
+
+  const adjustRest = (delta) => {
+    const endsAt = Math.max(restTimer.endsAt, Date.now()) + delta * 1000;
+    setRestTimer({ ...restTimer, endsAt, alerted: endsAt <= Date.now() });
+  };
+
   const finishWorkout = () => {
-    completeWorkout(workoutInProgress.id, exerciseResults, workoutNotes);
+    // Compare against the records from before this session to find new PRs
+    const formula = user.oneRepMaxFormula;
+    const records = computeRecords(workouts, user.id, exercises, formula);
+    setNewRecords(detectNewRecords(records, { date: new Date().toISOString(), exercises: exerciseResults }, exercises, formula));
+    const session = {
+      programId: workoutInProgress.program.id,
+      programVersion: workoutInProgress.program.version,
+      dayId: workoutInProgress.day.id,
+      phaseId: workoutInProgress.phase?.id ?? null
+    };
+    completeWorkout(session, exerciseResults, workoutNotes, Math.round((Date.now() - startedAt) / 1000));
+    clearDraft(user.id);
     setWorkoutInProgress(null);
+    setStartedAt(null);
+    setRestTimer(null);
+    setIntervalTimer(null);
     setExerciseResults([]);
     setWorkoutNotes('');
-    setMessage('האימון הושלם בהצלחה!');
+    setMessage(t('workouts.completed'));
   };
 
-  return (
-    <div className="workouts-page">
-      <h2>אימונים</h2>
-      
-      {!workoutInProgress ? (
-        <>
-          <div className="start-workout">
-            <h3>התחל אימון</h3>
-            <select 
-              value={selectedProgram} 
-              onChange={(e) => setSelectedProgram(e.target.value)}
-            >
-              <option value="">בחר תוכנית אימון</option>
-              {availablePrograms.map(p => (
-                <option key={p.id} value={p.id}>{p.name}</option>
-              ))}
+  // Blocks of straight sets, supersets and circuits, and the next set due
+  const blocks = workoutInProgress ? groupBlocks(workoutInProgress.exercises, workoutInProgress.day.groups) : [];
+  const nextStep = blocks
+    .flatMap(blockSteps)
+    .find(({ index, setIndex }) => !exerciseResults[index]?.completedSets[setIndex]);
+
+  // Target, last result and suggestion for an exercise
+  const renderTargets = (exercise, exerciseIndex) => (
+    <>
+      <p>{t('workouts.target')}: {describeTarget(exercise, units)}</p>
+      {suggestions[exerciseIndex].last && (
+        <p className="last-time">{t('workouts.lastTime')}: {suggestions[exerciseIndex].last}</p>
+      )}
+      {(suggestions[exerciseIndex].weight > 0 || suggestions[exerciseIndex].progressed) && (
+        <p className={suggestions[exerciseIndex].progressed ? 'suggestion progressed' : 'suggestion'}>
+          {suggestions[exerciseIndex].progressed ? t('workouts.progress') : t('workouts.today')}{' '}
+          {t('workouts.reps', { count: suggestions[exerciseIndex].reps })}
+          {suggestions[exerciseIndex].weight > 0 && ` @ ${formatWeight(suggestions[exerciseIndex].weight, units)}`}
+        </p>
+      )}
+      {exercise.notes && <p><em>{t('common.notes')}: {exercise.notes}</em></p>}
+    </>
+  );
+
+  // One set's inputs. Inputs start pre-filled with the suggestion; a set
+  // counts as logged once edited or confirmed with the check button.
+  const renderSet = (exerciseIndex, setIndex, label) => {
+    const exercise = workoutInProgress.exercises[exerciseIndex];
+    const tracking = trackingOf(exercise);
+    const type = setTypeAt(exercise, setIndex);
+    const logged = exerciseResults[exerciseIndex]?.completedSets[setIndex];
+    const isNext = nextStep?.index === exerciseIndex && nextStep.setIndex === setIndex;
+    const className = ['set-input', logged && 'logged', isNext && 'next'].filter(Boolean).join(' ');
+    const header = (
+      <>
+        <span>
+          {label ? `${label} – ` : ''}
+          {t(tracking === 'reps' ? 'workouts.set' : 'workouts.round', { number: setIndex + 1 })}:
+        </span>
+        {type !== 'normal' && <span className={`set-type ${type}`}>{t(SET_TYPES[type])}</span>}
+      </>
+    );
+
+    if (tracking !== 'reps') {
+      const duration = (logged ? logged.duration : suggestions[exerciseIndex].duration) || 0;
+      const distance = (logged ? logged.distance : suggestions[exerciseIndex].distance) || 0;
+      // Only the fields this exercise tracks are logged
+      const values = (d, m) => ({
+        ...(tracksDuration(tracking) && { duration: d }),
+        ...(tracksDistance(tracking) && { distance: m })
+      });
+      return (
+        <div key={`${exerciseIndex}-${setIndex}`} className={className}>
+          {header}
+          {tracksDistance(tracking) && (
+            <input
+              type="number"
+              placeholder={t('workouts.distance', { unit: unitLabel(units, 'distance') })}
+              value={toDisplay(distance, units, 'distance') || ''}
+              onChange={(e) => completeSet(exerciseIndex, setIndex, values(duration, fromDisplay(parseFloat(e.target.value) || 0, units, 'distance')))}
+            />
+          )}
+          {tracksDuration(tracking) && (
+            <>
+              <input
+                type="number"
+                className="time-input"
+                placeholder={t('workouts.minutes')}
+                value={Math.floor(duration / 60)}
+                onChange={(e) => completeSet(exerciseIndex, setIndex, values((parseInt(e.target.value) || 0) * 60 + (duration % 60), distance))}
+              />
+              :
+              <input
+                type="number"
+                className="time-input"
+                placeholder={t('workouts.seconds')}
+                value={duration % 60}
+                onChange={(e) => completeSet(exerciseIndex, setIndex, values(Math.floor(duration / 60) * 60 + (parseInt(e.target.value) || 0), distance))}
+              />
+            </>
+          )}
+          {tracking === 'duration' && !logged && exercise.duration > 0 && (
+            <button type="button" className="log-set" title={t('workouts.startTimer')} onClick={() => startInterval(exerciseIndex, setIndex)}>
+              ▶
+            </button>
+          )}
+          <button
+            type="button"
+            className="log-set"
+            title={t('workouts.logRound')}
+            disabled={Boolean(logged)}
+            onClick={() => completeSet(exerciseIndex, setIndex, values(duration, distance))}
+          >
+            ✓
+          </button>
+        </div>
+      );
+    }
+
+    const reps = logged ? logged.reps : suggestions[exerciseIndex].reps;
+    // Logged in kg as stored; only the input shows and takes the user's units
+    const stored = logged ? logged.weight : suggestions[exerciseIndex].weight;
+    const weight = stored || 0;
+    const shown = (value) => (value == null || Number.isNaN(value) ? '' : value);
+    return (
+      <div key={`${exerciseIndex}-${setIndex}`} className={className}>
+        {header}
+        <input 
+          type="number" 
+          placeholder={type === 'amrap' ? t('workouts.maxReps') : t('editor.reps')}
+          value={shown(reps)}
+          onChange={(e) => completeSet(exerciseIndex, setIndex, { reps: parseInt(e.target.value), weight })}
+        />
+        <input 
+          type="number" 
+          placeholder={t('editor.weight', { unit: unitLabel(units) })}
+          value={shown(toDisplay(stored, units))}
+          onChange={(e) => completeSet(exerciseIndex, setIndex, { reps: parseInt(reps || 0), weight: fromDisplay(parseFloat(e.target.value), units) })}
+        />
+        <button
+          type="button"
+          className="log-set"
+          title={t('workouts.logSet')}
+          disabled={Boolean(logged)}
+          onClick={() => completeSet(exerciseIndex, setIndex, { reps: parseInt(reps || 0), weight })}
+        >
+          ✓
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="workouts-page">
+      <h2>{t('workouts.title')}</h2>
+      {newRecords.length > 0 && (
+        <div className="new-records">
+          <h3>🏆 {t('records.new')}</h3>
+          <ul>
+            {newRecords.map((r) => (
+              <li key={`${r.libraryId}-${r.type}`}>
+                {r.name}: {t(RECORD_LABELS[r.type])} {r.type === 'bestVolume' ? roundedDisplay(r.value, units) : formatWeight(r.value, units)}
+              </li>
+            ))}
+          </ul>
+          <button onClick={() => setNewRecords([])}>{t('common.close')}</button>
+        </div>
+      )}
+      
+      {!workoutInProgress ? (
+        <>
+          {draft && (
+            <div className="resume-draft">
+              <p>
+                {t('workouts.draftFrom', {
+                  date: formatDate(draft.startedAt),
+                  count: draft.exerciseResults.reduce((n, ex) => n + ex.completedSets.filter(Boolean).length, 0)
+                })}
+              </p>
+              <button onClick={resumeDraft}>{t('workouts.resume')}</button>
+              <button onClick={discardDraft}>{t('common.delete')}</button>
+            </div>
+          )}
+          <div className="start-workout">
+            <h3>{t('workouts.start')}</h3>
+            <select 
+              value={selectedProgram} 
+              onChange={(e) => {
+                setSelectedProgram(e.target.value);
+                setSelectedDay('');
+              }}
+            >
+              <option value="">{t('workouts.chooseProgram')}</option>
+              {availablePrograms.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
             </select>
+            {chosenProgram && chosenProgram.days.length > 1 && (
+              <select value={selectedDay || proposedDay.id} onChange={(e) => setSelectedDay(e.target.value)}>
+                {chosenProgram.days.map((day) => (
+                  <option key={day.id} value={day.id}>
+                    {day.name}{day.id === proposedDay.id ? ` (${t('workouts.nextInLine')})` : ''}
+                  </option>
+                ))}
+              </select>
+            )}
             <button 
-              onClick={() => startWorkout(selectedProgram)}
+              onClick={() => startWorkout(selectedProgram, selectedDay || proposedDay?.id)}
               disabled={!selectedProgram}
             >
-              התחל אימון
+              {t('workouts.start')}
             </button>
+            {chosenPhase && (
+              <p className="current-phase">
+                {t('workouts.currentPhase', { name: chosenPhase.phase.name, week: chosenPhase.week, weeks: chosenPhase.phase.weeks })}
+              </p>
+            )}
           </div>
           
           <div className="workout-history">
-            <h3>היסטוריית אימונים</h3>
-            {userWorkouts.length === 0 ? (
-              <p>עדיין לא השלמת אימונים</p>
-            ) : (
-              <ul>
-                {userWorkouts.slice(-10).reverse().map(w => {
-                  const program = programs.find(p => p.id === w.programId);
-                  return (
-                    <li key={w.id}>
-                      <strong>{program?.name || 'תוכנית לא ידועה'}</strong>
-                      <br />
-                      תאריך: {new Date(w.date).toLocaleDateString('he-IL')}
-                      <br />
-                      תרגילים: {w.exercises.length}
-                      {w.notes && <><br />הערות: {w.notes}</>}
-                    </li>
-                  );
-                })}
-              </ul>
-            )}
+            <h3>{t('workouts.history')}</h3>
+            <WorkoutHistory workouts={userWorkouts.slice(-10)} programs={programs} units={units} unread={unreadWorkouts} />
           </div>
         </>
       ) : (
         <div className="workout-in-progress">
-          <h3>אימון בתהליך: {workoutInProgress.name}</h3>
+          <h3>
+            {t('workouts.inProgress', { name: workoutInProgress.program.name })}
+            {workoutInProgress.program.days.length > 1 && ` – ${workoutInProgress.day.name}`}
+          </h3>
+          {workoutInProgress.phase && <p className="current-phase">{t('workouts.phase')}: {workoutInProgress.phase.name}</p>}
+          <div className="session-clock">{t('workouts.elapsed')}: {formatClock((now - startedAt) / 1000)}</div>
+          {restTimer && (
+            <RestTimer
+              timer={restTimer}
+              now={now}
+              onAdjust={adjustRest}
+              onDismiss={() => setRestTimer(null)}
+            />
+          )}
+          {intervalTimer && (
+            <IntervalTimer
+              timer={intervalTimer}
+              exercise={workoutInProgress.exercises[intervalTimer.exerciseIndex]}
+              now={now}
+              onStop={() => setIntervalTimer(null)}
+            />
+          )}
           
-          {workoutInProgress.exercises.map((exercise, exerciseIndex) => (
-            <div key={exercise.id} className="exercise-tracking">
-              <h4>{exercise.name}</h4>
-              <p>יעד: {exercise.sets} סטים × {exercise.reps} חזרות</p>
-              {exercise.weight > 0 && <p>משקל מומלץ: {exercise.weight} ק"ג</p>}
-              
+          {nextStep && (
+            <div className="next-set">
+              {t('workouts.next')}: {workoutInProgress.exercises[nextStep.index].name} – {t('workouts.set', { number: nextStep.setIndex + 1 })}
+            </div>
+          )}
+
+          {blocks.map((block) => (block.group ? (
+            <div key={block.group.id} className="exercise-tracking exercise-group">
+              <h4>{groupLabel(block.items.length)}: {block.items.map(({ exercise }) => exercise.name).join(' + ')}</h4>
+              <p>{t('workouts.groupRest', { seconds: block.group.rest })}</p>
+              {block.items.map(({ exercise, index }) => (
+                <div key={exercise.id} className="group-exercise">
+                  <strong>{exercise.name}</strong>
+                  {renderTargets(exercise, index)}
+                </div>
+              ))}
               <div className="sets-tracking">
-                {Array.from({ length: exercise.sets }, (_, setIndex) => (
-                  <div key={setIndex} className="set-input">
-                    <span>סט {setIndex + 1}:</span>
-                    <input 
-                      type="number" 
-                      placeholder="חזרות"
-                      onChange={(e) => completeSet(exerciseIndex, setIndex, e.target.value, 
-                        exerciseResults[exerciseIndex]?.completedSets[setIndex]?.weight || 0)}
-                    />
-                    <input 
-                      type="number" 
-                      placeholder="משקל (ק״ג)"
-                      onChange={(e) => completeSet(exerciseIndex, setIndex, 
-                        exerciseResults[exerciseIndex]?.completedSets[setIndex]?.reps || 0, e.target.value)}
-                    />
-                  </div>
+                {blockSteps(block).map(({ index, setIndex }, step, steps) => (
+                  <React.Fragment key={`${index}-${setIndex}`}>
+                    {(step === 0 || steps[step - 1].setIndex !== setIndex) && (
+                      <div className="round-label">{t('workouts.round', { number: setIndex + 1 })}</div>
+                    )}
+                    {renderSet(index, setIndex, workoutInProgress.exercises[index].name)}
+                  </React.Fragment>
                 ))}
               </div>
-              
-              {exercise.notes && <p><em>הערות: {exercise.notes}</em></p>}
+              {block.items.map(({ exercise }) => (
+                <ExerciseGuide key={exercise.id} exercise={exercises.find((e) => e.id === exercise.libraryId)} />
+              ))}
             </div>
-          ))}
+          ) : (
+            <div key={block.items[0].exercise.id} className="exercise-tracking">
+              <h4>{block.items[0].exercise.name}</h4>
+              {renderTargets(block.items[0].exercise, block.items[0].index)}
+              <div className="sets-tracking">
+                {blockSteps(block).map(({ index, setIndex }) => renderSet(index, setIndex))}
+              </div>
+              <ExerciseGuide exercise={exercises.find((e) => e.id === block.items[0].exercise.libraryId)} />
+            </div>
+          )))}
           
           <div className="workout-notes">
             <label>
-              הערות לאימון:
+              {t('workouts.notes')}:
               <textarea 
                 value={workoutNotes}
                 onChange={(e) => setWorkoutNotes(e.target.value)}
-                placeholder="איך הרגשת? מה הלך טוב? מה אפשר לשפר?"
+                placeholder={t('workouts.notesPlaceholder')}
               />
             </label>
           </div>
           
           <div className="workout-actions">
-            <button onClick={finishWorkout}>סיים אימון</button>
-            <button onClick={() => setWorkoutInProgress(null)}>בטל אימון</button>
+            <button onClick={finishWorkout}>{t('workouts.finish')}</button>
+            <button onClick={cancelWorkout}>{t('workouts.cancel')}</button>
           </div>
         </div>
       )}
@@ -1010,76 +2752,659 @@ function WorkoutsPage({ user, programs, workouts, completeWorkout }) {
   );
 }
 
-// Exercises page: manage exercise library
-function ExercisesPage({ user, exercises, addExercise }) {
+// Completed workouts, newest first, each linking to its details. unread holds
+// the ids of workouts with feedback the viewer hasn't seen yet.
+function WorkoutHistory({ workouts, programs, units, unread = new Set() }) {
+  if (workouts.length === 0) return <p>{t('workouts.noneYet')}</p>;
+  return (
+    <ul>
+      {[...workouts].reverse().map(w => {
+        const program = programs.find(p => p.id === w.programId);
+        const day = program?.days.find((d) => d.id === w.dayId);
+        const distance = w.exercises.reduce((sum, ex) => sum + resultTotals(ex).distance, 0);
+        return (
+          <li key={w.id}>
+            <Link to={`/workouts/${w.id}`}>
+              <strong>{program?.name || t('programs.unknown')}</strong>
+            </Link>
+            {day && program.days.length > 1 && <> – {day.name}</>}
+            {unread.has(w.id) && <span className="badge">{t('feedback.new')}</span>}
+            <br />
+            {t('common.date')}: {formatDate(w.date)}
+            <br />
+            {t('programs.exercises')}: {w.exercises.length}
+            {w.duration > 0 && <> | {t('workouts.duration')}: {formatClock(w.duration)}</>}
+            {distance > 0 && <> | {t('workouts.distanceTotal')}: {formatDistance(distance, units)}</>}
+            {w.notes && <><br />{t('common.notes')}: {w.notes}</>}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// A client's full workout history, as staff see it
+function ClientWorkoutsPage({ client, programs, workouts, units }) {
+  const clientWorkouts = workouts.filter((w) => w.userId === client.id);
+  return (
+    <div className="workouts-page">
+      <h2>{t('workouts.history')} - {client.fullName || client.username}</h2>
+      <div className="workout-history">
+        <WorkoutHistory workouts={clientWorkouts} programs={programs} units={units} />
+      </div>
+      <Link to="/dashboard">{t('notFound.back')}</Link>
+    </div>
+  );
+}
+
+// Rest countdown shown while a workout is in progress
+function RestTimer({ timer, now, onAdjust, onDismiss }) {
+  const remaining = Math.ceil((timer.endsAt - now) / 1000);
+  const done = remaining <= 0;
+  return (
+    <div className={done ? 'rest-timer done' : 'rest-timer'}>
+      <span className="rest-label">
+        {done ? t('timer.restOver') : t('timer.rest', { name: timer.exerciseName })}
+      </span>
+      {!done && <span className="rest-countdown">{formatClock(remaining)}</span>}
+      <button onClick={() => onAdjust(-REST_ADJUST_STEP)} disabled={done}>-{REST_ADJUST_STEP}</button>
+      <button onClick={() => onAdjust(REST_ADJUST_STEP)}>+{REST_ADJUST_STEP}</button>
+      <button onClick={onDismiss}>{done ? t('common.close') : t('timer.skip')}</button>
+    </div>
+  );
+}
+
+// Interval timer for a time-based exercise in progress
+function IntervalTimer({ timer, exercise, now, onStop }) {
+  const remaining = Math.ceil((timer.endsAt - now) / 1000);
+  return (
+    <div className={`rest-timer interval-timer ${timer.phase}`}>
+      <span className="rest-label">
+        {timer.phase === 'work'
+          ? t('timer.work', { name: exercise.name, round: timer.setIndex + 1, rounds: exercise.sets })
+          : t('timer.restBefore', { round: timer.setIndex + 1, rounds: exercise.sets })}
+      </span>
+      <span className="rest-countdown">{formatClock(remaining)}</span>
+      <button onClick={onStop}>{t('timer.stop')}</button>
+    </div>
+  );
+}
+
+// Calendar of planned vs. completed sessions. user is whose calendar is
+// shown; staff viewing a client's calendar can also edit the schedule.
+function CalendarPage({ user, viewer, users, programs, workouts, updateSchedule }) {
+  const today = new Date();
+  const [month, setMonth] = useState({ year: today.getFullYear(), month: today.getMonth() });
+  const schedule = user.schedule || [];
+  const userWorkouts = workouts.filter((w) => w.userId === user.id);
+  const programName = (id) => programs.find((p) => p.id === id)?.name || t('programs.unknown');
+  const weeks = monthGrid(month.year, month.month);
+  const monthLabel = formatDateWith(new Date(month.year, month.month, 1), { month: 'long', year: 'numeric' });
+  const canEdit = isStaff(viewer) && viewer.id !== user.id;
+
+  const shiftMonth = (delta) => {
+    const date = new Date(month.year, month.month + delta, 1);
+    setMonth({ year: date.getFullYear(), month: date.getMonth() });
+  };
+
+  return (
+    <div className="calendar-page">
+      <h2>{viewer.id === user.id ? t('calendar.title') : `${t('calendar.title')} - ${user.fullName || user.username}`}</h2>
+      {isStaff(viewer) && visibleClients(viewer, users).length > 0 && (
+        <div className="client-links">
+          {t('calendar.clients')}:
+          {visibleClients(viewer, users).map((c) => (
+            <Link key={c.id} to={`/clients/${encodeURIComponent(c.username)}/calendar`}>
+              {c.fullName || c.username}
+            </Link>
+          ))}
+        </div>
+      )}
+
+      <div className="calendar-nav">
+        <button onClick={() => shiftMonth(-1)}>{t('calendar.previousMonth')}</button>
+        <strong>{monthLabel}</strong>
+        <button onClick={() => shiftMonth(1)}>{t('calendar.nextMonth')}</button>
+      </div>
+      <table className="calendar">
+        <thead>
+          <tr>
+            {WEEKDAY_NAMES.map((name) => <th key={name}>{t(name)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {weeks.map((week, i) => (
+            <tr key={i}>
+              {week.map((dateKey, j) => {
+                if (!dateKey) return <td key={j} className="empty" />;
+                const day = calendarDay(schedule, userWorkouts, dateKey);
+                const missed = day.planned.some((p) => p.status === 'missed');
+                return (
+                  <td key={dateKey} className={missed ? 'missed' : ''}>
+                    <div className="day-number">{Number(dateKey.slice(8))}</div>
+                    {day.planned.map((p) => (
+                      <div key={p.entry.id} className={`session ${p.status}`}>
+                        {p.workout ? (
+                          <Link to={`/workouts/${p.workout.id}`}>✓ {programName(p.entry.programId)}</Link>
+                        ) : (
+                          <>{p.status === 'missed' ? '✗ ' : ''}{programName(p.entry.programId)}</>
+                        )}
+                      </div>
+                    ))}
+                    {day.extra.map((w) => (
+                      <div key={w.id} className="session extra">
+                        <Link to={`/workouts/${w.id}`}>+ {programName(w.programId)}</Link>
+                      </div>
+                    ))}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="calendar-legend">
+        <span className="session done">{t('calendar.done')}</span>
+        <span className="session missed">{t('calendar.missed')}</span>
+        <span className="session upcoming">{t('calendar.upcoming')}</span>
+        <span className="session extra">{t('calendar.extra')}</span>
+      </div>
+
+      {canEdit && (
+        <ScheduleEditor
+          client={user}
+          viewer={viewer}
+          programs={programs}
+          updateSchedule={updateSchedule}
+        />
+      )}
+    </div>
+  );
+}
+
+// Staff form for scheduling programs onto weekdays or specific dates
+function ScheduleEditor({ client, viewer, programs, updateSchedule }) {
+  const [programId, setProgramId] = useState('');
+  const [mode, setMode] = useState('weekly');
+  const [weekdays, setWeekdays] = useState([]);
+  const [date, setDate] = useState('');
+  const [message, setMessage] = useState('');
+  const schedule = client.schedule || [];
+  const assignable = programs.filter((p) => isOwner(viewer) || p.ownerId === viewer.id);
+  const programName = (id) => programs.find((p) => p.id === id)?.name || t('programs.unknown');
+
+  const toggleWeekday = (day) => {
+    setWeekdays(weekdays.includes(day) ? weekdays.filter((d) => d !== day) : [...weekdays, day].sort());
+  };
+
+  const save = (next, successMessage) => {
+    const result = updateSchedule(client.id, next);
+    setMessage(result.success ? successMessage : result.message);
+    return result.success;
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!programId || (mode === 'weekly' ? weekdays.length === 0 : !date)) return;
+    const entry = mode === 'weekly'
+      ? { id: generateId(), programId, weekdays, startDate: toDateKey() }
+      : { id: generateId(), programId, date };
+    if (save([...schedule, entry], t('schedule.added'))) {
+      setWeekdays([]);
+      setDate('');
+    }
+  };
+
+  return (
+    <div className="schedule-editor">
+      <h3>{t('schedule.title')}</h3>
+      {schedule.length > 0 && (
+        <ul>
+          {schedule.map((entry) => (
+            <li key={entry.id}>
+              <span>
+                {programName(entry.programId)} –{' '}
+                {entry.date
+                  ? formatDate(`${entry.date}T12:00:00`)
+                  : t('schedule.weekly', { days: entry.weekdays.map((d) => t(WEEKDAY_NAMES[d])).join(', ') })}
+              </span>
+              <button onClick={() => save(schedule.filter((e) => e.id !== entry.id), t('schedule.removed'))}>
+                {t('common.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleAdd}>
+        <label>
+          {t('common.program')}:
+          <select value={programId} onChange={(e) => setProgramId(e.target.value)} required>
+            <option value="">{t('programs.choose')}</option>
+            {assignable.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="radio" checked={mode === 'weekly'} onChange={() => setMode('weekly')} />
+          {t('schedule.weeklyMode')}
+        </label>
+        <label>
+          <input type="radio" checked={mode === 'date'} onChange={() => setMode('date')} />
+          {t('schedule.dateMode')}
+        </label>
+        {mode === 'weekly' ? (
+          <div className="weekday-picker">
+            {WEEKDAY_NAMES.map((name, day) => (
+              <label key={day}>
+                <input type="checkbox" checked={weekdays.includes(day)} onChange={() => toggleWeekday(day)} />
+                {t(name)}
+              </label>
+            ))}
+          </div>
+        ) : (
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} required />
+        )}
+        <button type="submit">{t('schedule.add')}</button>
+      </form>
+      {message && <div className="message">{message}</div>}
+    </div>
+  );
+}
+
+// Completed workout details, set by set (/workouts/:id), with the trainer's
+// feedback on the session and on each exercise
+function WorkoutDetails({
+  workout,
+  owner,
+  viewer,
+  users,
+  programs,
+  comments,
+  units,
+  addComment,
+  deleteComment,
+  markFeedbackRead
+}) {
+  // What was prescribed: the program as it was at the version performed
+  const current = programs.find((p) => p.id === workout.programId);
+  const program = current && programAtVersion(current, workout.programVersion);
+  const day = program?.days.find((d) => d.id === workout.dayId);
+  const phase = program?.phases.find((p) => p.id === workout.phaseId);
+  const prescribed = day ? sessionExercises(day, phase) : [];
+  const isOwn = viewer.id === owner.id;
+  const canComment = canManageClient(viewer, owner);
+  const feedback = (exerciseIndex) => (
+    <FeedbackThread
+      comments={comments.filter((c) => c.exerciseIndex === exerciseIndex)}
+      users={users}
+      viewer={viewer}
+      canComment={canComment}
+      placeholder={exerciseIndex === null ? t('feedback.sessionPlaceholder') : t('feedback.exercisePlaceholder')}
+      onAdd={(text) => addComment(workout.id, exerciseIndex, text)}
+      onDelete={deleteComment}
+    />
+  );
+
+  // The client has seen whatever feedback is on the workout they opened
+  useEffect(() => {
+    if (isOwn) markFeedbackRead(workout.id);
+  }, [workout.id, comments.length]);
+
+  return (
+    <div className="workout-details">
+      <h2>{program?.name || t('programs.unknown')}{day && program.days.length > 1 && ` – ${day.name}`}</h2>
+      {program && workout.programVersion && (
+        <p>
+          {t('workoutDetails.programVersion')}: {workout.programVersion}
+          {current.version > workout.programVersion && ` (${t('workoutDetails.updatedSince', { version: current.version })})`}
+        </p>
+      )}
+      {phase && <p>{t('workouts.phase')}: {phase.name}</p>}
+      <p>{t('common.client')}: {owner.fullName || owner.username}</p>
+      <p>{t('common.date')}: {formatDate(workout.date)}</p>
+      {workout.duration > 0 && <p>{t('workouts.duration')}: {formatClock(workout.duration)}</p>}
+      {workout.notes && <p>{t('common.notes')}: {workout.notes}</p>}
+      {(canComment || comments.some((c) => c.exerciseIndex === null)) && (
+        <div className="workout-feedback">
+          <h3>{t('feedback.title')}</h3>
+          {feedback(null)}
+        </div>
+      )}
+      {workout.exercises.map((ex, exIndex) => {
+        const totals = resultTotals(ex);
+        return (
+          <div key={ex.exerciseId} className="exercise-tracking">
+            <h4>{ex.name}</h4>
+            {prescribed.filter((p) => p.id === ex.exerciseId).map((p) => (
+              <p key={p.id} className="prescribed">
+                {t('workouts.target')}: {describeTarget(p, units)}{trackingOf(p) === 'reps' && p.weight > 0 && ` @ ${formatWeight(p.weight, units)}`}
+              </p>
+            ))}
+            {ex.completedSets.filter(Boolean).length === 0 ? (
+              <p>{t('workoutDetails.noSets')}</p>
+            ) : (
+              <ul>
+                {ex.completedSets.map((set, idx) => set && (
+                  <li key={idx}>
+                    {t('workouts.set', { number: idx + 1 })}{set.type && set.type !== 'normal' && ` (${t(SET_TYPES[set.type])})`}:{' '}
+                    {set.reps > 0 ? `${t('workouts.reps', { count: set.reps })} × ${formatWeight(set.weight, units)}` : describeSet(set, units)}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {(totals.duration > 0 || totals.distance > 0) && (
+              <p className="result-totals">
+                {t('workoutDetails.total')}: {[
+                  totals.distance > 0 && formatDistance(totals.distance, units),
+                  totals.duration > 0 && formatClock(totals.duration),
+                  totals.pace && t('workoutDetails.averagePace', { pace: formatPace(totals.pace, units) })
+                ].filter(Boolean).join(' | ')}
+              </p>
+            )}
+            {ex.notes && <p><em>{t('common.notes')}: {ex.notes}</em></p>}
+            {feedback(exIndex)}
+          </div>
+        );
+      })}
+      <Link to={isOwn ? '/workouts' : `/clients/${encodeURIComponent(owner.username)}/workouts`}>{t('workoutDetails.back')}</Link>
+    </div>
+  );
+}
+
+// Comments on a workout or one of its exercises, oldest first. Staff who
+// manage the client can add to them; authors can delete their own.
+function FeedbackThread({ comments, users, viewer, canComment, placeholder, onAdd, onDelete }) {
+  const [text, setText] = useState('');
+  const [message, setMessage] = useState('');
+  const authorName = (authorId) => {
+    const author = users.find((u) => u.id === authorId);
+    return author ? author.fullName || author.username : t('common.unknown');
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    const result = onAdd(text.trim());
+    if (result.success) {
+      setText('');
+      setMessage('');
+    } else {
+      setMessage(result.message);
+    }
+  };
+
+  const remove = (comment) => {
+    if (!window.confirm(t('feedback.confirmDelete'))) return;
+    const result = onDelete(comment.id);
+    if (!result.success) setMessage(result.message);
+  };
+
+  if (comments.length === 0 && !canComment) return null;
+  return (
+    <div className="feedback">
+      {comments.length > 0 && (
+        <ul className="feedback-comments">
+          {comments.map((c) => (
+            <li key={c.id}>
+              <strong>{authorName(c.authorId)}</strong>
+              <span className="feedback-date">{formatDate(c.createdAt)}</span>
+              {c.authorId === viewer.id && (
+                <button type="button" onClick={() => remove(c)}>{t('common.delete')}</button>
+              )}
+              <p>{c.text}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+      {canComment && (
+        <form className="feedback-form" onSubmit={submit}>
+          <textarea value={text} onChange={(e) => setText(e.target.value)} placeholder={placeholder} />
+          <button type="submit">{t('feedback.add')}</button>
+        </form>
+      )}
+      {message && <div className="message">{message}</div>}
+    </div>
+  );
+}
+
+// Exercises page: search the exercise library; staff add, edit and delete
+// exercises and manage the categories they're filed under
+function ExercisesPage({
+  user,
+  exercises,
+  categories,
+  programs,
+  workouts,
+  addExercise,
+  updateExercise,
+  deleteExercise,
+  addCategory,
+  deleteCategory
+}) {
   const [name, setName] = useState('');
   const [muscleGroup, setMuscleGroup] = useState('');
   const [equipment, setEquipment] = useState('');
+  const [filters, setFilters] = useState({ query: '', muscleGroup: '', equipment: '' });
+  const [editing, setEditing] = useState(null);
   const [message, setMessage] = useState('');
 
-  const muscleGroups = ['חזה', 'גב', 'כתפיים', 'רגליים', 'בטן', 'זרועות', 'ישבן'];
-  const equipmentTypes = ['משקל גוף', 'משקולות', 'כבל', 'מכונה', 'אלסטיק', 'כדור רפואי'];
+  const records = computeRecords(workouts, user.id, exercises, user.oneRepMaxFormula);
+  const muscleGroups = categoryNames(categories, 'muscleGroup');
+  const equipmentTypes = categoryNames(categories, 'equipment');
+  const groups = groupByMuscle(filterExercises(exercises, filters), categories);
+  const canManage = canManageLibrary(user);
 
   const handleAdd = (e) => {
     e.preventDefault();
     if (!name || !muscleGroup || !equipment) return;
-    addExercise(name, muscleGroup, equipment);
+    const result = addExercise(name, muscleGroup, equipment);
+    if (!result.success) {
+      setMessage(result.message);
+      return;
+    }
     setName('');
     setMuscleGroup('');
     setEquipment('');
-    setMessage('התרגיל נוסף בהצלחה');
+    setMessage(t('exercises.added'));
+  };
+
+  // Instructions and cues are edited one per line
+  const startEditing = (ex) => {
+    setEditing({
+      id: ex.id,
+      name: ex.name,
+      muscleGroup: ex.muscleGroup,
+      equipment: ex.equipment,
+      instructions: (ex.instructions || []).join('\n'),
+      cues: (ex.cues || []).join('\n'),
+      media: ex.media || []
+    });
+  };
+
+  const toLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+  // Helper: media entries in list that aren't in other
+  const mediaNotIn = (list, other) => list.filter((m) => !other.some((o) => o.id === m.id));
+
+  const handleUpload = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    for (const file of files) {
+      try {
+        const item = await saveMedia(file);
+        setEditing((current) => current && { ...current, media: [...current.media, item] });
+      } catch (err) {
+        setMessage(`${file.name}: ${err.message}`);
+      }
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const { id, instructions, cues, ...changes } = editing;
+    const original = exercises.find((ex) => ex.id === id);
+    const result = updateExercise(id, { ...changes, instructions: toLines(instructions), cues: toLines(cues) });
+    setMessage(result.success ? t('exercises.updated') : result.message);
+    if (result.success) {
+      deleteMedia(mediaNotIn(original.media || [], editing.media).map((m) => m.id))
+        .catch((err) => console.error('Failed to delete exercise media', err));
+      setEditing(null);
+    }
+  };
+
+  // Files uploaded while editing are dropped again on cancel
+  const cancelEditing = () => {
+    const original = exercises.find((ex) => ex.id === editing.id);
+    deleteMedia(mediaNotIn(editing.media, original?.media || []).map((m) => m.id))
+      .catch((err) => console.error('Failed to delete exercise media', err));
+    setEditing(null);
   };
 
+  const handleDelete = (ex) => {
+    if (!window.confirm(t('exercises.confirmDelete', { name: ex.name }))) return;
+    const result = deleteExercise(ex.id);
+    setMessage(result.success ? t('exercises.deleted') : result.message);
+  };
+
+  const categorySelect = (type, value, onChange, placeholder) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      <option value="">{placeholder}</option>
+      {categoryNames(categories, type).map((c) => (
+        <option key={c} value={c}>{c}</option>
+      ))}
+    </select>
+  );
+
   return (
     <div className="exercises-page">
-      <h2>ספריית תרגילים</h2>
+      <h2>{t('exercises.title')}</h2>
       
-      {user.role === 'trainer' && (
+      {canManage && (
         <form onSubmit={handleAdd} className="exercise-form">
-          <h3>הוסף תרגיל חדש</h3>
+          <h3>{t('exercises.addTitle')}</h3>
           <label>
-            שם התרגיל:
+            {t('exercises.name')}:
             <input type="text" value={name} onChange={(e) => setName(e.target.value)} required />
           </label>
           <label>
-            קבוצת שרירים:
+            {t('exercises.muscleGroup')}:
             <select value={muscleGroup} onChange={(e) => setMuscleGroup(e.target.value)} required>
-              <option value="">בחר קבוצת שרירים</option>
+              <option value="">{t('exercises.chooseMuscleGroup')}</option>
               {muscleGroups.map(group => (
                 <option key={group} value={group}>{group}</option>
               ))}
             </select>
           </label>
           <label>
-            ציוד נדרש:
+            {t('exercises.equipmentNeeded')}:
             <select value={equipment} onChange={(e) => setEquipment(e.target.value)} required>
-              <option value="">בחר ציוד</option>
+              <option value="">{t('exercises.chooseEquipment')}</option>
               {equipmentTypes.map(eq => (
                 <option key={eq} value={eq}>{eq}</option>
               ))}
             </select>
           </label>
-          <button type="submit">הוסף תרגיל</button>
-          {message && <div className="message">{message}</div>}
+          <button type="submit">{t('exercises.add')}</button>
         </form>
       )}
+      {message && <div className="message">{message}</div>}
+
+      {canManage && (
+        <CategoryManager
+          categories={categories}
+          addCategory={addCategory}
+          deleteCategory={deleteCategory}
+        />
+      )}
       
       <div className="exercises-library">
-        <h3>כל התרגילים</h3>
+        <h3>{t('exercises.all')}</h3>
+        <div className="library-filters">
+          <input
+            type="search"
+            placeholder={t('exercises.search')}
+            value={filters.query}
+            onChange={(e) => setFilters({ ...filters, query: e.target.value })}
+          />
+          {categorySelect('muscleGroup', filters.muscleGroup, (v) => setFilters({ ...filters, muscleGroup: v }), t('exercises.allMuscleGroups'))}
+          {categorySelect('equipment', filters.equipment, (v) => setFilters({ ...filters, equipment: v }), t('exercises.allEquipment'))}
+        </div>
+        {groups.length === 0 && <p>{t('exercises.noneFound')}</p>}
         <div className="exercises-grid">
-          {muscleGroups.map(group => (
+          {groups.map(({ group, exercises: groupExercises }) => (
             <div key={group} className="muscle-group-section">
               <h4>{group}</h4>
               <ul>
-                {exercises
-                  .filter(ex => ex.muscleGroup === group)
-                  .map(ex => (
-                    <li key={ex.id}>
-                      <strong>{ex.name}</strong>
-                      <br />
-                      ציוד: {ex.equipment}
-                    </li>
-                  ))}
+                {groupExercises.map(ex => (
+                  <li key={ex.id}>
+                    {editing?.id === ex.id ? (
+                      <form onSubmit={handleSave} className="exercise-edit-form">
+                        <input
+                          type="text"
+                          value={editing.name}
+                          onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                          required
+                        />
+                        {categorySelect('muscleGroup', editing.muscleGroup, (v) => setEditing({ ...editing, muscleGroup: v }), t('exercises.muscleGroup'))}
+                        {categorySelect('equipment', editing.equipment, (v) => setEditing({ ...editing, equipment: v }), t('exercises.equipment'))}
+                        <label>
+                          {t('exercises.instructions')}:
+                          <textarea
+                            value={editing.instructions}
+                            onChange={(e) => setEditing({ ...editing, instructions: e.target.value })}
+                          />
+                        </label>
+                        <label>
+                          {t('exercises.cues')}:
+                          <textarea
+                            value={editing.cues}
+                            onChange={(e) => setEditing({ ...editing, cues: e.target.value })}
+                          />
+                        </label>
+                        <div className="media-list">
+                          {editing.media.map((item) => (
+                            <div key={item.id} className="media-edit">
+                              <MediaItem item={item} />
+                              <button
+                                type="button"
+                                onClick={() => setEditing({ ...editing, media: editing.media.filter((m) => m.id !== item.id) })}
+                              >
+                                {t('common.remove')}
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                        <label>
+                          {t('exercises.media', { mb: MAX_MEDIA_MB })}:
+                          <input type="file" accept="image/*,video/*" multiple onChange={handleUpload} />
+                        </label>
+                        <button type="submit">{t('common.save')}</button>
+                        <button type="button" onClick={cancelEditing}>{t('common.cancel')}</button>
+                      </form>
+                    ) : (
+                      <>
+                        <strong>{ex.name}</strong>
+                        <br />
+                        {t('exercises.equipment')}: {ex.equipment}
+                        <ExerciseGuide exercise={ex} />
+                        {records[ex.id] && (
+                          <div className="exercise-record">
+                            {t('exercises.record')}: {formatWeight(records[ex.id].heaviest.weight, unitsOf(user))} | {t('exercises.estimatedOneRepMax')}:{' '}
+                            {formatWeight(records[ex.id].bestOneRepMax.value, unitsOf(user))}
+                          </div>
+                        )}
+                        {canManage && (
+                          <div className="exercise-actions">
+                            <span>{t('exercises.usedIn', { count: programsUsingExercise(programs, ex.id).length })}</span>
+                            <button onClick={() => startEditing(ex)}>{t('common.edit')}</button>
+                            <button onClick={() => handleDelete(ex)}>{t('common.delete')}</button>
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </li>
+                ))}
               </ul>
             </div>
           ))}
@@ -1089,78 +3414,475 @@ function ExercisesPage({ user, exercises, addExercise }) {
   );
 }
 
+// How to perform a library exercise: steps, cues and media. Collapsed until
+// opened; nothing is shown for exercises without any of them.
+function ExerciseGuide({ exercise }) {
+  if (!exercise) return null;
+  const { instructions = [], cues = [], media = [] } = exercise;
+  if (instructions.length === 0 && cues.length === 0 && media.length === 0) return null;
+  return (
+    <details className="exercise-guide">
+      <summary>{t('exercises.howTo')}</summary>
+      {instructions.length > 0 && (
+        <ol>
+          {instructions.map((step, idx) => <li key={idx}>{step}</li>)}
+        </ol>
+      )}
+      {cues.length > 0 && (
+        <ul className="cues">
+          {cues.map((cue, idx) => <li key={idx}>{cue}</li>)}
+        </ul>
+      )}
+      {media.length > 0 && (
+        <div className="media-list">
+          {media.map((item) => <MediaItem key={item.id} item={item} />)}
+        </div>
+      )}
+    </details>
+  );
+}
+
+// An exercise image or clip loaded from this device's media store
+function MediaItem({ item }) {
+  const { url, missing } = useMediaUrl(item.id);
+  if (missing) return <div className="media-missing">{t('exercises.mediaMissing', { name: item.name })}</div>;
+  if (!url) return <div className="media-missing">{t('common.loading')}</div>;
+  return item.type === 'video'
+    ? <video src={url} controls muted playsInline className="media-item" />
+    : <img src={url} alt={item.name} className="media-item" />;
+}
+
+// Staff controls for the library's muscle group and equipment categories
+function CategoryManager({ categories, addCategory, deleteCategory }) {
+  const [names, setNames] = useState({ muscleGroup: '', equipment: '' });
+  const [message, setMessage] = useState('');
+
+  const handleAdd = (type) => (e) => {
+    e.preventDefault();
+    const name = names[type].trim();
+    if (!name) return;
+    const result = addCategory(type, name);
+    setMessage(result.success ? '' : result.message);
+    if (result.success) setNames({ ...names, [type]: '' });
+  };
+
+  const handleDelete = (category) => {
+    const result = deleteCategory(category.id);
+    setMessage(result.success ? '' : result.message);
+  };
+
+  return (
+    <div className="category-manager">
+      <h3>{t('categories.title')}</h3>
+      {Object.entries(CATEGORY_TYPES).map(([type, label]) => (
+        <div key={type} className="category-group">
+          <h4>{t(label)}</h4>
+          <ul>
+            {categories.filter((c) => c.type === type).map((c) => (
+              <li key={c.id}>
+                {c.name}
+                <button title={t('categories.delete')} onClick={() => handleDelete(c)}>✕</button>
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={handleAdd(type)}>
+            <input
+              type="text"
+              value={names[type]}
+              onChange={(e) => setNames({ ...names, [type]: e.target.value })}
+              placeholder={t('categories.new')}
+            />
+            <button type="submit">{t('common.add')}</button>
+          </form>
+        </div>
+      ))}
+      {message && <div className="message">{message}</div>}
+    </div>
+  );
+}
+
 // Profile page: allows user to update basic info and goals
-function ProfilePage({ user, saveProfile }) {
+function ProfilePage({ user, saveProfile, changePassword }) {
   const [fullName, setFullName] = useState(user.fullName || '');
   const [email, setEmail] = useState(user.email || '');
   const [phone, setPhone] = useState(user.phone || '');
-  const [weightGoal, setWeightGoal] = useState(user.goals?.weight || '');
+  const [units, setUnits] = useState(unitsOf(user));
+  const [language, setLanguageChoice] = useState(languageOf(user) || getLanguage());
+  // Goals are edited in the selected units
+  const [weightGoal, setWeightGoal] = useState(toDisplay(user.goals?.weight, units) || '');
   const [bodyFatGoal, setBodyFatGoal] = useState(user.goals?.bodyFat || '');
-  const [chestGoal, setChestGoal] = useState(user.goals?.chest || '');
-  const [waistGoal, setWaistGoal] = useState(user.goals?.waist || '');
+  const [chestGoal, setChestGoal] = useState(toDisplay(user.goals?.chest, units, 'length') || '');
+  const [waistGoal, setWaistGoal] = useState(toDisplay(user.goals?.waist, units, 'length') || '');
   const [waterGoal, setWaterGoal] = useState(user.waterGoal || 2);
+  const [oneRepMaxFormula, setOneRepMaxFormula] = useState(user.oneRepMaxFormula || 'epley');
+  const [weeklyWorkoutGoal, setWeeklyWorkoutGoal] = useState(user.weeklyWorkoutGoal || DEFAULT_WEEKLY_WORKOUT_GOAL);
+  const [draftMaxAgeHours, setDraftMaxAgeHours] = useState(user.draftMaxAgeHours || DEFAULT_DRAFT_MAX_AGE_HOURS);
+  const [inactiveAlertDays, setInactiveAlertDays] = useState(user.inactiveAlertDays || DEFAULT_INACTIVE_ALERT_DAYS);
   const [message, setMessage] = useState('');
 
+  // Switching units converts the goals already typed in
+  const changeUnits = (next) => {
+    const convert = (value, kind) => (value ? toDisplay(fromDisplay(parseFloat(value), units, kind), next, kind) : value);
+    setWeightGoal(convert(weightGoal, 'weight'));
+    setChestGoal(convert(chestGoal, 'length'));
+    setWaistGoal(convert(waistGoal, 'length'));
+    setUnits(next);
+  };
+
   const handleSave = (e) => {
     e.preventDefault();
     const data = {
       fullName,
       email,
       phone,
+      units,
+      language,
       goals: {
-        weight: weightGoal ? parseFloat(weightGoal) : undefined,
+        weight: weightGoal ? fromDisplay(parseFloat(weightGoal), units) : undefined,
         bodyFat: bodyFatGoal ? parseFloat(bodyFatGoal) : undefined,
-        chest: chestGoal ? parseFloat(chestGoal) : undefined,
-        waist: waistGoal ? parseFloat(waistGoal) : undefined
+        chest: chestGoal ? fromDisplay(parseFloat(chestGoal), units, 'length') : undefined,
+        waist: waistGoal ? fromDisplay(parseFloat(waistGoal), units, 'length') : undefined
       },
-      waterGoal: waterGoal ? parseFloat(waterGoal) : 0
+      waterGoal: waterGoal ? parseFloat(waterGoal) : 0,
+      weeklyWorkoutGoal: parseInt(weeklyWorkoutGoal) || DEFAULT_WEEKLY_WORKOUT_GOAL,
+      oneRepMaxFormula,
+      draftMaxAgeHours: parseFloat(draftMaxAgeHours) || DEFAULT_DRAFT_MAX_AGE_HOURS,
+      ...(isStaff(user) && { inactiveAlertDays: parseInt(inactiveAlertDays) || DEFAULT_INACTIVE_ALERT_DAYS })
     };
     saveProfile(data);
-    setMessage('הפרופיל נשמר בהצלחה');
+    setMessage(t('profile.saved'));
   };
 
   return (
     <div className="profile-page">
-      <h2>פרופיל</h2>
+      <h2>{t('profile.title')}</h2>
       <form onSubmit={handleSave} className="profile-form">
         <label>
-          שם מלא:
+          {t('profile.fullName')}:
           <input type="text" value={fullName} onChange={(e) => setFullName(e.target.value)} />
         </label>
         <label>
-          אימייל:
+          {t('profile.email')}:
           <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} />
         </label>
         <label>
-          טלפון:
+          {t('profile.phone')}:
           <input type="tel" value={phone} onChange={(e) => setPhone(e.target.value)} />
         </label>
+        <label>
+          {t('profile.language')}:
+          <LanguageSelect value={language} onChange={setLanguageChoice} />
+        </label>
+        <label>
+          {t('profile.units')}:
+          <select value={units} onChange={(e) => changeUnits(e.target.value)}>
+            {Object.entries(UNIT_SYSTEMS).map(([key, label]) => (
+              <option key={key} value={key}>{t(label)}</option>
+            ))}
+          </select>
+        </label>
         <fieldset className="goals-section">
-          <legend>יעדים</legend>
+          <legend>{t('profile.goals')}</legend>
           <label>
-            משקל יעד:
+            {t('profile.weightGoal', { unit: unitLabel(units) })}:
             <input type="number" value={weightGoal} onChange={(e) => setWeightGoal(e.target.value)} />
           </label>
           <label>
-            אחוז שומן יעד:
+            {t('profile.bodyFatGoal')}:
             <input type="number" value={bodyFatGoal} onChange={(e) => setBodyFatGoal(e.target.value)} />
           </label>
           <label>
-            היקף חזה יעד:
+            {t('profile.chestGoal', { unit: unitLabel(units, 'length') })}:
             <input type="number" value={chestGoal} onChange={(e) => setChestGoal(e.target.value)} />
           </label>
           <label>
-            היקף מותניים יעד:
+            {t('profile.waistGoal', { unit: unitLabel(units, 'length') })}:
             <input type="number" value={waistGoal} onChange={(e) => setWaistGoal(e.target.value)} />
           </label>
         </fieldset>
         <label>
-          יעד שתייה יומית (ליטר):
+          {t('profile.waterGoal')}:
           <input type="number" value={waterGoal} onChange={(e) => setWaterGoal(e.target.value)} />
         </label>
-        <button type="submit">שמור פרופיל</button>
+        <label>
+          {t('profile.weeklyWorkoutGoal')}:
+          <input type="number" min="1" value={weeklyWorkoutGoal} onChange={(e) => setWeeklyWorkoutGoal(e.target.value)} />
+        </label>
+        <label>
+          {t('profile.draftMaxAge')}:
+          <input type="number" min="1" value={draftMaxAgeHours} onChange={(e) => setDraftMaxAgeHours(e.target.value)} />
+        </label>
+        {isStaff(user) && (
+          <label>
+            {t('profile.inactiveAlertDays')}:
+            <input type="number" min="1" value={inactiveAlertDays} onChange={(e) => setInactiveAlertDays(e.target.value)} />
+          </label>
+        )}
+        <label>
+          {t('profile.oneRepMaxFormula')}:
+          <select value={oneRepMaxFormula} onChange={(e) => setOneRepMaxFormula(e.target.value)}>
+            {Object.entries(ONE_REP_MAX_FORMULAS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <button type="submit">{t('profile.save')}</button>
         {message && <div className="message">{message}</div>}
       </form>
+      <ChangePasswordForm changePassword={changePassword} />
+    </div>
+  );
+}
+
+// Change password form shown on the profile page
+function ChangePasswordForm({ changePassword }) {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setMessage(t('password.mismatch'));
+      return;
+    }
+    const result = await changePassword(currentPassword, newPassword);
+    setMessage(result.message);
+    if (result.success) {
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="profile-form password-form">
+      <h3>{t('password.title')}</h3>
+      <label>
+        {t('password.current')}:
+        <input type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} required />
+      </label>
+      <label>
+        {t('password.new')}:
+        <input type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} required />
+      </label>
+      <label>
+        {t('password.confirm')}:
+        <input type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} required />
+      </label>
+      <button type="submit">{t('password.change')}</button>
+      {message && <div className="message">{message}</div>}
+    </form>
+  );
+}
+
+// Backup page: full JSON backup/restore for the studio owner, and CSV exports
+// of the clients the viewer manages for all staff
+function BackupPage({ viewer, data, restoreData }) {
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [selectedClient, setSelectedClient] = useState('');
+  const [message, setMessage] = useState('');
+
+  const clients = visibleClients(viewer, data.users);
+  const today = new Date().toISOString().slice(0, 10);
+
+  const exportBackup = async () => {
+    const media = await exportMedia(mediaIdsOf(data.exercises));
+    const backup = createBackup(data, media);
+    downloadFile(`studio-ym-backup-${today}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setMessage('');
+    file.text().then((text) => {
+      try {
+        setPending(parseBackup(text));
+      } catch (err) {
+        setPending(null);
+        setMessage(err.message);
+      }
+    });
+  };
+
+  const confirmRestore = async () => {
+    if (mode === 'replace' && !window.confirm(t('backup.confirmReplace'))) {
+      return;
+    }
+    try {
+      await importMedia(pending.media);
+    } catch (err) {
+      console.error('Failed to restore media', err);
+      setMessage(t('backup.mediaFailed'));
+      return;
+    }
+    restoreData(pending.data, mode);
+    setPending(null);
+    setMessage(t('backup.restored'));
+  };
+
+  const exportClientCsv = (kind) => {
+    const client = clients.find((u) => u.id === selectedClient);
+    if (!client) return;
+    if (kind === 'workouts') {
+      const clientWorkouts = data.workouts.filter((w) => w.userId === client.id);
+      downloadFile(`${client.username}-workouts-${today}.csv`, workoutsToCsv(clientWorkouts, data.programs), 'text/csv');
+    } else {
+      downloadFile(`${client.username}-metrics-${today}.csv`, metricsToCsv(client.metrics), 'text/csv');
+    }
+  };
+
+  return (
+    <div className="backup-page">
+      <h2>{isOwner(viewer) ? t('backup.title') : t('backup.exportTitle')}</h2>
+
+      {isOwner(viewer) && (
+        <>
+          <div className="backup-section">
+            <h3>{t('backup.fullTitle')}</h3>
+            <p>{t('backup.fullBody')}</p>
+            <button onClick={exportBackup}>{t('backup.download')}</button>
+          </div>
+
+          <div className="backup-section">
+            <h3>{t('backup.restoreTitle')}</h3>
+            <input type="file" accept="application/json,.json" onChange={handleFile} />
+            {pending && (
+              <div className="restore-preview">
+                <p>{t('backup.from', { date: formatDate(pending.exportedAt) })}</p>
+                <p>{t('backup.mediaCount', { count: Object.keys(pending.media).length })}</p>
+                <table className="metrics-table">
+                  <thead>
+                    <tr>
+                      <th>{t('backup.type')}</th>
+                      <th>{t('backup.inBackup')}</th>
+                      <th>{t('backup.new')}</th>
+                      <th>{t('backup.overwritten')}</th>
+                      <th>{t('backup.current')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {previewRestore(data, pending.data).map((row) => (
+                      <tr key={row.collection}>
+                        <td>{t(`backup.collection.${row.collection}`)}</td>
+                        <td>{row.total}</td>
+                        <td>{row.added}</td>
+                        <td>{row.overwritten}</td>
+                        <td>{row.current}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <label>
+                  <input type="radio" name="restore-mode" value="merge" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                  {t('backup.merge')}
+                </label>
+                <label>
+                  <input type="radio" name="restore-mode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                  {t('backup.replace')}
+                </label>
+                <button onClick={confirmRestore}>{t('backup.restore')}</button>
+                <button onClick={() => setPending(null)}>{t('common.cancel')}</button>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      <div className="backup-section">
+        <h3>{t('backup.csvTitle')}</h3>
+        <select value={selectedClient} onChange={(e) => setSelectedClient(e.target.value)}>
+          <option value="">{t('backup.chooseClient')}</option>
+          {clients.map((u) => (
+            <option key={u.id} value={u.id}>{u.fullName || u.username}</option>
+          ))}
+        </select>
+        <button onClick={() => exportClientCsv('workouts')} disabled={!selectedClient}>{t('backup.exportWorkouts')}</button>
+        <button onClick={() => exportClientCsv('metrics')} disabled={!selectedClient}>{t('backup.exportMetrics')}</button>
+      </div>
+
+      {message && <div className="message">{message}</div>}
     </div>
   );
-}
\ No newline at end of file
+}
+
+// User management page (studio owner only): approve trainers and link clients to trainers
+function UsersPage({ users, approveTrainer, rejectTrainer, setClientTrainer }) {
+  const [message, setMessage] = useState('');
+
+  const pendingTrainers = users.filter((u) => u.role === 'trainer' && !u.approved);
+  const staff = users.filter((u) => isStaff(u));
+  const clients = users.filter((u) => u.role === 'client');
+
+  const showResult = (result, successMessage) => {
+    setMessage(result.success ? successMessage : result.message);
+  };
+
+  return (
+    <div className="users-page">
+      <h2>{t('users.title')}</h2>
+
+      <div className="users-section">
+        <h3>{t('users.pendingTitle')}</h3>
+        {pendingTrainers.length === 0 ? (
+          <p>{t('users.nonePending')}</p>
+        ) : (
+          <ul>
+            {pendingTrainers.map((trainer) => (
+              <li key={trainer.id}>
+                <span>{trainer.fullName || trainer.username}</span>
+                <button onClick={() => showResult(approveTrainer(trainer.id), t('users.approved'))}>{t('users.approve')}</button>
+                <button
+                  className="danger"
+                  onClick={() => {
+                    if (window.confirm(t('users.confirmReject', { username: trainer.username }))) {
+                      showResult(rejectTrainer(trainer.id), t('users.rejected'));
+                    }
+                  }}
+                >
+                  {t('users.reject')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="users-section">
+        <h3>{t('users.assignTitle')}</h3>
+        <table className="metrics-table">
+          <thead>
+            <tr>
+              <th>{t('common.client')}</th>
+              <th>{t('auth.trainer')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {clients.map((c) => (
+              <tr key={c.id}>
+                <td>{c.fullName || c.username}</td>
+                <td>
+                  <select
+                    value={c.trainerId || ''}
+                    onChange={(e) => showResult(setClientTrainer(c.id, e.target.value), t('users.assigned'))}
+                  >
+                    <option value="">{t('users.noTrainer')}</option>
+                    {staff.map((trainer) => (
+                      <option key={trainer.id} value={trainer.id}>{trainer.fullName || trainer.username}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {message && <div className="message">{message}</div>}
+    </div>
+  );
+}
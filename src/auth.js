@@ -0,0 +1,99 @@
+// Password hashing, login lockout and remembered sessions.
+//
+// Stored passwords use the format pbkdf2$<iterations>$<salt hex>$<hash hex>.
+// Older records may still hold a plain-text password (seeded accounts) or an
+// unsalted SHA-256 hex digest (early registrations); both are accepted once and
+// upgraded on the next successful login.
+
+const PBKDF2_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const SESSION_KEY = 'studio_session';
+
+export const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const MAX_FAILED_LOGINS = 5;
+export const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+
+// Helper: bytes to hex string and back
+const toHex = (bytes) => Array.from(bytes).map((b) => b.toString(16).padStart(2, '0')).join('');
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+
+// Helper: derive a PBKDF2-SHA256 hash of the password with the given salt
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    256
+  );
+  return toHex(new Uint8Array(bits));
+}
+
+// Helper: unsalted SHA-256, only used to check legacy hashes
+async function sha256(password) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  return toHex(new Uint8Array(hashBuffer));
+}
+
+// Hash a password with a fresh random salt
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toHex(salt)}$${hash}`;
+}
+
+// Check a password against a stored value. needsUpgrade is true when the
+// stored value isn't a current-strength salted hash.
+export async function verifyPassword(password, stored) {
+  if (stored.startsWith('pbkdf2$')) {
+    const [, iterations, salt, hash] = stored.split('$');
+    const valid = (await pbkdf2(password, fromHex(salt), Number(iterations))) === hash;
+    return { valid, needsUpgrade: valid && Number(iterations) < PBKDF2_ITERATIONS };
+  }
+  if (/^[0-9a-f]{64}$/.test(stored)) {
+    const valid = (await sha256(password)) === stored;
+    return { valid, needsUpgrade: valid };
+  }
+  const valid = password === stored;
+  return { valid, needsUpgrade: valid };
+}
+
+// Milliseconds left on a user's lockout, or 0 if they may try to log in
+export function lockoutRemaining(user, now = Date.now()) {
+  return user.lockedUntil && user.lockedUntil > now ? user.lockedUntil - now : 0;
+}
+
+// Updated lockout fields after a failed attempt
+export function registerFailedLogin(user, now = Date.now()) {
+  const failedLogins = (user.failedLogins || 0) + 1;
+  if (failedLogins >= MAX_FAILED_LOGINS) {
+    return { failedLogins: 0, lockedUntil: now + LOCKOUT_DURATION };
+  }
+  return { failedLogins, lockedUntil: null };
+}
+
+// Remembered session for this device. Kept in localStorage directly (not in
+// the synced collections) so each device has its own login.
+export function saveSession(userId, now = Date.now()) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ userId, expiresAt: now + SESSION_DURATION }));
+}
+
+export function loadSession(now = Date.now()) {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (session && session.expiresAt > now) return session;
+  } catch (e) {
+    // fall through and forget the unreadable session
+  }
+  clearSession();
+  return null;
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
@@ -0,0 +1,144 @@
+// Backup/restore of the whole studio as one JSON file, and CSV exports for
+// opening a client's data in a spreadsheet.
+
+import { COLLECTIONS } from './storage.js';
+import { migrate, SCHEMA_VERSION } from './migrations.js';
+import { t } from './i18n.js';
+
+const BACKUP_FORMAT = 'studio-ym-backup';
+
+// Build a versioned backup object from the current collections and the
+// exercise media files ({ id: data URL }, see exportMedia)
+export function createBackup(data, media = {}) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {},
+    media
+  };
+  COLLECTIONS.forEach((collection) => {
+    backup.data[collection] = data[collection] || [];
+  });
+  return backup;
+}
+
+// Parse and validate a backup file's text. Older backups are migrated to the
+// current schema. Throws an Error with a user-facing message on bad input.
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error(t('backup.invalidJson'));
+  }
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.data) {
+    throw new Error(t('backup.notBackup'));
+  }
+  const version = Number(backup.schemaVersion) || 0;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(t('backup.newerVersion'));
+  }
+  const data = {};
+  COLLECTIONS.forEach((collection) => {
+    const records = backup.data[collection] || [];
+    if (!Array.isArray(records) || records.some((r) => !r || !r.id)) {
+      throw new Error(t('backup.invalidCollection', { collection: t(`backup.collection.${collection}`) }));
+    }
+    data[collection] = records;
+  });
+  // Backups from before media was included have none
+  const media = backup.media || {};
+  if (typeof media !== 'object' || Object.values(media).some((url) => !String(url).startsWith('data:'))) {
+    throw new Error(t('backup.invalidMedia'));
+  }
+  return { exportedAt: backup.exportedAt, data: migrate(data, version), media };
+}
+
+// Summarize what restoring would do: per collection, how many records are
+// new and how many would overwrite an existing record with the same id
+export function previewRestore(current, incoming) {
+  return COLLECTIONS.map((collection) => {
+    const existingIds = new Set((current[collection] || []).map((r) => r.id));
+    const records = incoming[collection];
+    const overlapping = records.filter((r) => existingIds.has(r.id)).length;
+    return {
+      collection,
+      total: records.length,
+      added: records.length - overlapping,
+      overwritten: overlapping,
+      current: existingIds.size
+    };
+  });
+}
+
+// Combine collections by id; records from the backup win over current ones
+export function mergeData(current, incoming) {
+  const merged = {};
+  COLLECTIONS.forEach((collection) => {
+    const byId = new Map((current[collection] || []).map((r) => [r.id, r]));
+    incoming[collection].forEach((r) => byId.set(r.id, r));
+    merged[collection] = [...byId.values()];
+  });
+  return merged;
+}
+
+// Helper: quote a CSV field when needed
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper: build CSV text from a header row and data rows
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n');
+}
+
+// One row per completed set of a user's workouts
+export function workoutsToCsv(workouts, programs) {
+  const rows = [];
+  workouts.forEach((w) => {
+    const program = programs.find((p) => p.id === w.programId);
+    const day = program?.days.find((d) => d.id === w.dayId);
+    w.exercises.forEach((ex) => {
+      ex.completedSets.forEach((set, setIndex) => {
+        if (!set) return;
+        rows.push([
+          w.date,
+          program?.name || '',
+          day?.name || '',
+          ex.name,
+          setIndex + 1,
+          set.reps,
+          set.weight,
+          set.duration ?? '',
+          set.distance ?? '',
+          set.type || 'normal',
+          w.notes || ''
+        ]);
+      });
+    });
+  });
+  return toCsv(['date', 'program', 'day', 'exercise', 'set', 'reps', 'weight_kg', 'duration_s', 'distance_m', 'set_type', 'workout_notes'], rows);
+}
+
+// One row per body measurement
+export function metricsToCsv(metrics) {
+  const rows = metrics.map((m) => [m.date, m.weight, m.bodyFat, m.chest, m.waist]);
+  return toCsv(['date', 'weight_kg', 'body_fat_pct', 'chest_cm', 'waist_cm'], rows);
+}
+
+// Trigger a browser download of text content
+export function downloadFile(filename, content, type) {
+  // BOM so spreadsheet apps detect UTF-8 (Hebrew names) in CSV files
+  const prefix = type === 'text/csv' ? '\uFEFF' : '';
+  const blob = new Blob([prefix + content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,43 @@
+// Drafts of workouts in progress, so a reload, crash or the phone killing the
+// tab doesn't lose logged sets. One draft per user, kept in this device's
+// localStorage (like the session) since it belongs to the device it was
+// started on.
+
+const DRAFT_PREFIX = 'studio_draft_';
+
+// Drafts untouched for longer than this are abandoned (user setting
+// draftMaxAgeHours overrides it)
+export const DEFAULT_DRAFT_MAX_AGE_HOURS = 12;
+
+const draftKey = (userId) => DRAFT_PREFIX + userId;
+
+// Helper: a logged set without the nulls older drafts saved for cleared inputs
+const withoutNulls = (set) => set && Object.fromEntries(Object.entries(set).filter(([, value]) => value !== null));
+
+// Save the in-progress session: { programId, exerciseResults, workoutNotes, startedAt }
+export function saveDraft(userId, draft) {
+  localStorage.setItem(draftKey(userId), JSON.stringify({ ...draft, updatedAt: Date.now() }));
+}
+
+export function clearDraft(userId) {
+  localStorage.removeItem(draftKey(userId));
+}
+
+// The user's draft, or null. Drafts older than maxAgeHours are removed.
+export function loadDraft(userId, maxAgeHours = DEFAULT_DRAFT_MAX_AGE_HOURS, now = Date.now()) {
+  let draft = null;
+  try {
+    draft = JSON.parse(localStorage.getItem(draftKey(userId)));
+  } catch (e) {
+    draft = null;
+  }
+  if (!draft || !draft.updatedAt || now - draft.updatedAt > maxAgeHours * 60 * 60 * 1000) {
+    clearDraft(userId);
+    return null;
+  }
+  const exerciseResults = (draft.exerciseResults || []).map((result) => ({
+    ...result,
+    completedSets: (result.completedSets || []).map(withoutNulls)
+  }));
+  return { ...draft, exerciseResults };
+}
@@ -0,0 +1,34 @@
+// Staff feedback on completed workouts. Comments are records of their own,
+//   { id, workoutId, exerciseIndex, authorId, text, createdAt }
+// where exerciseIndex is null for a comment on the whole session, written
+// only by their author. What the client has read is kept apart, in read
+// markers they own (feedbackReads):
+//   { id, userId, workoutId, readAt }
+// one per workout, so marking feedback read never rewrites, or brings back,
+// the trainer's comments.
+
+// A workout's comments, oldest first
+export function commentsFor(comments, workoutId) {
+  return comments
+    .filter((c) => c.workoutId === workoutId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// Read markers get fixed ids so devices marking the same workout agree
+export const readMarkerId = (userId, workoutId) => `${userId}_${workoutId}`;
+
+// Comments left by others on a user's workouts since the user last opened them
+export function unreadFeedback(comments, workouts, reads, userId) {
+  const own = new Set(workouts.filter((w) => w.userId === userId).map((w) => w.id));
+  const readAt = new Map(reads.filter((r) => r.userId === userId).map((r) => [r.workoutId, r.readAt]));
+  return comments.filter((c) => (
+    own.has(c.workoutId) &&
+    c.authorId !== userId &&
+    !(readAt.has(c.workoutId) && new Date(c.createdAt) <= new Date(readAt.get(c.workoutId)))
+  ));
+}
+
+// Ids of the workouts with unread feedback for a user
+export function workoutsWithUnread(comments, workouts, reads, userId) {
+  return new Set(unreadFeedback(comments, workouts, reads, userId).map((c) => c.workoutId));
+}
@@ -0,0 +1,39 @@
+// Daily water intake. Each user has waterLog: { 'YYYY-MM-DD': [ml, ml, ...] }
+// (local calendar days), compared against waterGoal in liters.
+
+import { toDateKey } from './utils.js';
+
+// Quick-add sizes in ml; label is a message key
+export const DRINK_SIZES = [
+  { label: 'water.glass', ml: 250 },
+  { label: 'water.smallBottle', ml: 500 },
+  { label: 'water.bottle', ml: 750 },
+  { label: 'water.largeBottle', ml: 1500 }
+];
+
+// Total liters drunk on a day
+export function dayTotal(waterLog = {}, dateKey = toDateKey()) {
+  return (waterLog[dateKey] || []).reduce((sum, ml) => sum + ml, 0) / 1000;
+}
+
+// Log with one more drink added to a day
+export function addDrink(waterLog = {}, ml, dateKey = toDateKey()) {
+  return { ...waterLog, [dateKey]: [...(waterLog[dateKey] || []), ml] };
+}
+
+// Log with the day's last drink removed
+export function removeLastDrink(waterLog = {}, dateKey = toDateKey()) {
+  const drinks = waterLog[dateKey] || [];
+  return { ...waterLog, [dateKey]: drinks.slice(0, -1) };
+}
+
+// The last `days` days, newest first: [{ dateKey, liters, met }]
+export function hydrationHistory(waterLog = {}, goal, days = 30, now = new Date()) {
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() - i);
+    const dateKey = toDateKey(date);
+    const liters = dayTotal(waterLog, dateKey);
+    return { dateKey, liters, met: goal > 0 && liters >= goal };
+  });
+}
@@ -0,0 +1,65 @@
+// UI language. Messages live in one catalog per language under locales/,
+// keyed by dotted ids. t() looks a key up in the current language (falling
+// back to Hebrew) and fills in {name} placeholders; with a count of 1 a
+// "<key>_one" entry is preferred when the catalog has one.
+//
+// The language is the signed-in user's `language` preference, or the last
+// one used on this device before signing in.
+
+import he from './locales/he.js';
+import en from './locales/en.js';
+
+export const LANGUAGES = {
+  he: { label: 'עברית', dir: 'rtl', locale: 'he-IL', messages: he },
+  en: { label: 'English', dir: 'ltr', locale: 'en-US', messages: en }
+};
+
+export const DEFAULT_LANGUAGE = 'he';
+
+const STORAGE_KEY = 'studio_ym_language';
+
+// Helper: the language last used on this device
+function storedLanguage() {
+  try {
+    const language = localStorage.getItem(STORAGE_KEY);
+    return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+  } catch {
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+let current = storedLanguage();
+
+export const getLanguage = () => current;
+
+export const languageOf = (user) => (LANGUAGES[user?.language] ? user.language : null);
+
+// BCP 47 locale for dates and numbers in the current language
+export const currentLocale = () => LANGUAGES[current].locale;
+
+// Switch the UI language: remembered on this device, and the document's
+// lang and text direction follow it. The caller re-renders afterwards.
+export function setLanguage(language) {
+  if (!LANGUAGES[language] || language === current) return;
+  current = language;
+  try {
+    localStorage.setItem(STORAGE_KEY, language);
+  } catch {
+    // Private mode: the choice lasts for this session only
+  }
+  applyDocumentLanguage();
+}
+
+export function applyDocumentLanguage() {
+  if (typeof document === 'undefined') return;
+  document.documentElement.lang = current;
+  document.documentElement.dir = LANGUAGES[current].dir;
+  document.title = t('app.title');
+}
+
+export function t(key, params = {}) {
+  const messages = LANGUAGES[current].messages;
+  const pick = (catalog) => (params.count === 1 && catalog[`${key}_one`]) || catalog[key];
+  const template = pick(messages) ?? pick(he) ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
@@ -0,0 +1,58 @@
+// Exercise library helpers: categories, search and the links between program
+// exercises and library entries.
+//
+// Categories are records { id, type: 'muscleGroup' | 'equipment', name }
+// maintained by staff; library exercises store the category names.
+// Program exercises carry libraryId, and are shown with the library entry's
+// current name and muscle group so a rename reaches every program.
+
+export const CATEGORY_TYPES = {
+  muscleGroup: 'categories.muscleGroups',
+  equipment: 'categories.equipment'
+};
+
+// Category names of a type, in the order they were added
+export const categoryNames = (categories, type) => categories
+  .filter((c) => c.type === type)
+  .map((c) => c.name);
+
+// Library exercises matching a text query and optional category filters
+export function filterExercises(exercises, { query = '', muscleGroup = '', equipment = '' }) {
+  const text = query.trim().toLowerCase();
+  return exercises.filter((ex) => (
+    (!text || ex.name.toLowerCase().includes(text)) &&
+    (!muscleGroup || ex.muscleGroup === muscleGroup) &&
+    (!equipment || ex.equipment === equipment)
+  ));
+}
+
+// Group exercises by muscle group: the category order first, then any group
+// not (or no longer) in the categories so nothing is hidden
+export function groupByMuscle(exercises, categories) {
+  const groups = categoryNames(categories, 'muscleGroup');
+  exercises.forEach((ex) => {
+    if (!groups.includes(ex.muscleGroup)) groups.push(ex.muscleGroup);
+  });
+  return groups
+    .map((group) => ({ group, exercises: exercises.filter((ex) => ex.muscleGroup === group) }))
+    .filter(({ exercises: list }) => list.length > 0);
+}
+
+// Programs whose current days use a library exercise
+export function programsUsingExercise(programs, libraryId) {
+  return programs.filter((p) => p.days.some((day) => day.exercises.some((ex) => ex.libraryId === libraryId)));
+}
+
+// Library exercises filed under a category
+export function exercisesInCategory(exercises, category) {
+  return exercises.filter((ex) => ex[category.type] === category.name);
+}
+
+// Program exercises with the linked library entry's current name and
+// muscle group; unlinked exercises keep their own
+export function linkExercises(programExercises, library) {
+  return programExercises.map((ex) => {
+    const entry = ex.libraryId && library.find((e) => e.id === ex.libraryId);
+    return entry ? { ...ex, name: entry.name, muscleGroup: entry.muscleGroup } : ex;
+  });
+}
@@ -0,0 +1,500 @@
+// English messages. Keys ending in _one are used when the count is 1.
+
+export default {
+  'app.title': 'Studio YM - Personal Training Tracker',
+
+  'common.loading': 'Loading...',
+  'common.date': 'Date',
+  'common.exercise': 'Exercise',
+  'common.client': 'Client',
+  'common.program': 'Program',
+  'common.notes': 'Notes',
+  'common.seconds': '{count} seconds',
+  'common.seconds_one': '1 second',
+  'common.unknown': 'Unknown',
+  'common.save': 'Save',
+  'common.close': 'Close',
+  'common.cancel': 'Cancel',
+  'common.add': 'Add',
+  'common.edit': 'Edit',
+  'common.delete': 'Delete',
+  'common.remove': 'Remove',
+
+  'auth.userNotFound': 'User not found',
+  'auth.locked': 'The account is locked. Try again in {minutes} minutes',
+  'auth.locked_one': 'The account is locked. Try again in 1 minute',
+  'auth.trainerPending': 'The trainer account is waiting for the studio manager to approve it',
+  'auth.syncUnavailable': "Can't reach the sync server. Connect to the network to sign in on this device for the first time",
+  'auth.tooManyAttempts': 'Too many failed attempts. The account is locked for 15 minutes',
+  'auth.wrongPassword': 'Wrong password',
+  'auth.invalidRole': 'Invalid role',
+  'auth.missingCredentials': 'Please enter a username and password',
+  'auth.passwordTooShort': 'The password must be at least {min} characters long',
+  'auth.usernameTaken': 'That username is already taken',
+  'auth.registeredTrainer': 'You are registered. The account will wait for the studio manager to approve it',
+  'auth.registered': 'You are registered',
+  'auth.loginTitle': 'Sign in',
+  'auth.registerTitle': 'Sign up',
+  'auth.username': 'Username',
+  'auth.password': 'Password',
+  'auth.rememberMe': 'Remember me',
+  'auth.role': 'Role',
+  'auth.roleClient': 'Client',
+  'auth.roleTrainer': 'Trainer',
+  'auth.trainer': 'Trainer',
+  'auth.chooseTrainer': 'Choose a trainer',
+  'auth.login': 'Sign in',
+  'auth.createAccount': 'Create account',
+  'auth.toRegister': "Don't have an account? Sign up here",
+  'auth.toLogin': 'Already registered? Sign in here',
+
+  'permissions.denied': "You don't have permission to do that",
+  'permissions.editProgram': "You don't have permission to edit this program",
+  'permissions.assignProgram': "You don't have permission to assign this program to this client",
+  'permissions.schedule': "You don't have permission to schedule workouts for this client",
+  'permissions.comment': "You don't have permission to comment on this client's workouts",
+
+  'storageError.title': 'Error loading data',
+  'storageError.body': "The saved data can't be read. Nothing has been deleted.",
+  'storageError.confirmRecover': 'The damaged data will be kept in a backup and the app will start over. Continue?',
+  'storageError.recover': 'Back up the damaged data and start over',
+
+  'nav.welcome': 'Studio YM - Welcome, {name}',
+  'nav.dashboard': 'Dashboard',
+  'nav.programs': 'Programs',
+  'nav.metrics': 'Metrics',
+  'nav.workouts': 'Workouts',
+  'nav.calendar': 'Calendar',
+  'nav.water': 'Water',
+  'nav.exercises': 'Exercise library',
+  'nav.profile': 'Profile',
+  'nav.users': 'Users',
+  'nav.backup': 'Backup',
+  'nav.export': 'Export',
+  'nav.logout': 'Sign out',
+
+  'notFound.title': 'Page not found',
+  'notFound.body': "The link is wrong, or you don't have access to this content.",
+  'notFound.back': 'Back to the dashboard',
+
+  'sync.synced': 'Synced',
+  'sync.syncing': 'Syncing...',
+  'sync.pending': 'Waiting to sync ({pending})',
+  'sync.offline': 'Offline ({pending} changes waiting)',
+  'sync.error': 'Sync error',
+
+  'pwa.updateAvailable': 'A new version of the app is available',
+  'pwa.update': 'Update now',
+  'pwa.later': 'Later',
+
+  'records.heaviest': 'Heaviest weight',
+  'records.bestVolume': 'Best set volume',
+  'records.bestOneRepMax': 'Estimated 1RM',
+  'records.none': 'No personal records yet.',
+  'records.title': 'Personal records ({formula})',
+  'records.new': 'New records!',
+
+  'water.glass': 'Glass',
+  'water.smallBottle': 'Small bottle',
+  'water.bottle': 'Bottle',
+  'water.largeBottle': 'Large bottle',
+  'water.ofGoal': 'of {goal} L',
+  'water.liters': 'liters',
+  'water.ml': '{ml} ml',
+  'water.undo': 'Undo last',
+  'water.title': 'Water tracking',
+  'water.history': 'Last 30 days – goal met on {count} days',
+  'water.history_one': 'Last 30 days – goal met on 1 day',
+  'water.amount': 'Amount (liters)',
+  'water.goal': 'Goal',
+
+  'dashboard.title': 'Dashboard - Studio YM',
+  'dashboard.draftPrompt': 'You have an unfinished workout. Pick up where you left off?',
+  'dashboard.workoutsThisWeek': 'Workouts this week',
+  'dashboard.adherence': 'Goal met over the last 4 weeks: {percent}%',
+  'dashboard.belowGoal': 'Fewer workouts than the goal two weeks in a row',
+  'dashboard.goalProgress': '{percent}% of the way (start: {start})',
+  'dashboard.trendAway': 'The trend is moving away from the goal',
+  'dashboard.waterToday': 'Water today',
+  'dashboard.workoutSummary': 'Workout summary',
+  'dashboard.totalWorkouts': 'Total workouts',
+  'dashboard.lastMetric': 'Latest measurement:',
+  'dashboard.currentProgram': 'Your current program:',
+  'dashboard.upNext': 'Next workout',
+
+  'overview.title': 'My clients',
+  'overview.noClients': 'No clients are assigned to you.',
+  'overview.inactiveCount': "{count} clients haven't trained for {days} days or more",
+  'overview.inactiveCount_one': "1 client hasn't trained for {days} days or more",
+  'overview.lastWorkout': 'Last workout',
+  'overview.thisWeek': 'This week (done / planned)',
+  'overview.weightChange': 'Latest weight change',
+  'overview.never': 'No workouts yet',
+  'overview.inactiveDays': 'No workout for {count} days',
+  'overview.inactiveDays_one': 'No workout for 1 day',
+  'overview.history': 'History',
+
+  'programs.defaultDuration': '45 minutes',
+  'programs.dayName': 'Workout {letter}',
+  'programs.created': 'Program created',
+  'programs.assigned': 'Program assigned',
+  'programs.duplicatePrompt': 'Name for the new program:',
+  'programs.copyName': '{name} (copy)',
+  'programs.duplicated': 'Created "{name}" from the template',
+  'programs.manageTitle': 'Manage programs',
+  'programs.createTitle': 'Create a new program',
+  'programs.name': 'Name',
+  'programs.description': 'Description',
+  'programs.difficulty': 'Difficulty',
+  'programs.duration': 'Duration',
+  'programs.easy': 'Easy',
+  'programs.medium': 'Medium',
+  'programs.hard': 'Hard',
+  'programs.assignTitle': 'Assign a program to a user',
+  'programs.chooseUser': 'Choose a user',
+  'programs.choose': 'Choose a program',
+  'programs.assign': 'Assign',
+  'programs.all': 'All programs',
+  'programs.mine': "My programs and my clients' programs",
+  'programs.days': 'Workout days',
+  'programs.exercises': 'Exercises',
+  'programs.phases': 'Phases',
+  'programs.edit': 'Edit program',
+  'programs.view': 'View program',
+  'programs.duplicate': 'Duplicate as template',
+  'programs.myProgram': 'My program',
+  'programs.noneAssigned': "You haven't been assigned a program.",
+  'programs.weeks': '{count} weeks',
+  'programs.weeks_one': '1 week',
+  'programs.groupRest': '{seconds} seconds rest after each round',
+  'programs.rest': 'Rest',
+  'programs.unknown': 'Unknown program',
+
+  'editor.savedVersion': 'Saved version {version}',
+  'editor.confirmClose': 'There are unsaved changes. Close without saving?',
+  'editor.newerVersion': 'Version {version} of this program was saved elsewhere while you were editing.',
+  'editor.loadNewer': 'Load it and discard my edits',
+  'editor.keepEdits': 'Keep my edits',
+  'editor.confirmRemoveDay': 'Delete {name} and all of its exercises?',
+  'editor.phaseName': 'Phase {number}',
+  'editor.title': 'Editing program: {name}',
+  'editor.phasesTitle': 'Phases (blocks)',
+  'editor.noPhases': 'No phases – the same targets every week.',
+  'editor.weeks': 'Weeks',
+  'editor.removePhase': 'Remove phase',
+  'editor.addPhase': 'Add phase',
+  'editor.removeDay': 'Delete day',
+  'editor.chooseExercise': 'Choose an exercise',
+  'editor.addExercise': 'Add exercise',
+  'editor.noExercises': 'No exercises on this day.',
+  'editor.groupRest': 'Shared rest after each round (seconds)',
+  'editor.tracking': 'Tracking',
+  'editor.sets': 'Sets',
+  'editor.rounds': 'Rounds',
+  'editor.reps': 'Reps',
+  'editor.weight': 'Weight ({unit})',
+  'editor.increment': 'Weight increment ({unit})',
+  'editor.distance': 'Distance ({unit})',
+  'editor.workTime': 'Work time (seconds)',
+  'editor.targetTime': 'Target time (seconds)',
+  'editor.rest': 'Rest (seconds)',
+  'editor.setTypes': 'Set types',
+  'editor.removeExercise': 'Remove exercise',
+  'editor.unlink': 'Unlink from the next exercise',
+  'editor.link': 'Link to the next exercise (superset / circuit)',
+  'editor.addDay': 'Add workout day',
+  'editor.saveVersion': 'Save version {version}',
+  'editor.discard': 'Discard changes',
+  'editor.close': 'Close editor',
+
+  'versions.version': 'Version {version}',
+  'versions.title': 'Version history',
+  'versions.compare': 'Compare',
+  'versions.compareTo': 'with',
+  'versions.noChanges': 'No differences between the versions.',
+  'versions.added': 'added',
+  'versions.removed': 'removed',
+  'versions.program': 'Program',
+  'versions.phase': 'Phase {name}',
+  'versions.exerciseCount': '{count} exercises',
+  'versions.exerciseCount_one': '1 exercise',
+  'versions.field.name': 'Name',
+  'versions.field.description': 'Description',
+  'versions.field.difficulty': 'Difficulty',
+  'versions.field.duration': 'Duration',
+  'versions.field.sets': 'Sets',
+  'versions.field.reps': 'Reps',
+  'versions.field.weight': 'Weight',
+  'versions.field.increment': 'Weight increment',
+  'versions.field.tracking': 'Tracking',
+  'versions.field.durationSeconds': 'Time (seconds)',
+  'versions.field.distanceMeters': 'Distance (m)',
+  'versions.field.rest': 'Rest',
+  'versions.field.setTypes': 'Set types',
+  'versions.field.groupRest': 'Rest between rounds',
+  'versions.field.order': 'Exercise order',
+  'versions.field.notes': 'Notes',
+  'versions.field.weeks': 'Weeks',
+
+  'metrics.none': 'No measurements yet.',
+  'metrics.weight': 'Weight',
+  'metrics.bodyFat': 'Body fat',
+  'metrics.chest': 'Chest',
+  'metrics.waist': 'Waist',
+  'metrics.saved': 'Measurement saved',
+  'metrics.title': 'Metrics',
+  'metrics.clients': "Clients' metrics",
+  'metrics.save': 'Save measurement',
+  'metrics.progress': 'Progress',
+  'metrics.history': 'Measurement history',
+  'metrics.noneInRange': 'No measurements in this range.',
+  'metrics.trend': 'Trend: {change} per week',
+  'metrics.goal': 'Goal',
+  'metrics.projected': 'Expected to reach the goal: {date}',
+  'metrics.notApproaching': "The current trend isn't approaching the goal",
+  'metrics.range1m': 'Month',
+  'metrics.range3m': '3 months',
+  'metrics.range1y': 'Year',
+  'metrics.rangeAll': 'All',
+
+  'workouts.resume': 'Resume workout',
+  'workouts.draftProgramGone': "The unfinished workout's program is no longer available",
+  'workouts.confirmDiscardDraft': 'Delete the unfinished workout? All sets logged in it will be deleted.',
+  'workouts.confirmCancel': 'Cancel the workout? All logged sets will be deleted.',
+  'workouts.confirmReplaceDraft': 'There is an unfinished workout. Start a new one and delete it?',
+  'workouts.completed': 'Workout complete!',
+  'workouts.target': 'Target',
+  'workouts.lastTime': 'Last time',
+  'workouts.progress': 'Time to progress!',
+  'workouts.today': 'Target for today:',
+  'workouts.reps': '{count} reps',
+  'workouts.reps_one': '1 rep',
+  'workouts.set': 'Set {number}',
+  'workouts.round': 'Round {number}',
+  'workouts.distance': 'Distance ({unit})',
+  'workouts.minutes': 'min',
+  'workouts.seconds': 'sec',
+  'workouts.startTimer': 'Start timer',
+  'workouts.logRound': 'Log round',
+  'workouts.maxReps': 'Max reps',
+  'workouts.logSet': 'Log set',
+  'workouts.title': 'Workouts',
+  'workouts.draftFrom': 'You have an unfinished workout from {date} ({count} sets logged)',
+  'workouts.draftFrom_one': 'You have an unfinished workout from {date} (1 set logged)',
+  'workouts.start': 'Start workout',
+  'workouts.chooseProgram': 'Choose a workout program',
+  'workouts.nextInLine': 'next up',
+  'workouts.currentPhase': 'Current phase: {name} – week {week} of {weeks}',
+  'workouts.history': 'Workout history',
+  'workouts.noneYet': "You haven't completed any workouts yet",
+  'workouts.duration': 'Duration',
+  'workouts.distanceTotal': 'Distance',
+  'workouts.inProgress': 'Workout in progress: {name}',
+  'workouts.phase': 'Phase',
+  'workouts.elapsed': 'Workout time',
+  'workouts.next': 'Next',
+  'workouts.groupRest': 'Rest after each round: {seconds} seconds',
+  'workouts.notes': 'Workout notes',
+  'workouts.notesPlaceholder': 'How did it feel? What went well? What could be better?',
+  'workouts.finish': 'Finish workout',
+  'workouts.cancel': 'Cancel workout',
+
+  'workoutDetails.programVersion': 'Program version',
+  'workoutDetails.updatedSince': 'the program has since been updated to version {version}',
+  'workoutDetails.noSets': 'No sets were logged',
+  'workoutDetails.total': 'Total',
+  'workoutDetails.averagePace': 'average pace {pace}',
+  'workoutDetails.back': 'Back to workouts',
+
+  'feedback.title': 'Trainer feedback',
+  'feedback.unread': '{count} new comments from your trainer',
+  'feedback.unread_one': '1 new comment from your trainer',
+  'feedback.new': 'New feedback',
+  'feedback.sessionPlaceholder': 'Comment on the whole session',
+  'feedback.exercisePlaceholder': 'Comment on this exercise',
+  'feedback.add': 'Add comment',
+  'feedback.confirmDelete': 'Delete this comment?',
+
+  'timer.restOver': 'Rest is over – on to the next set!',
+  'timer.rest': 'Rest ({name})',
+  'timer.skip': 'Skip',
+  'timer.work': 'Work: {name} – round {round}/{rounds}',
+  'timer.restBefore': 'Rest before round {round}/{rounds}',
+  'timer.stop': 'Stop',
+
+  'calendar.title': 'Calendar',
+  'calendar.clients': "Clients' calendars",
+  'calendar.previousMonth': '← Previous month',
+  'calendar.nextMonth': 'Next month →',
+  'calendar.done': 'Done',
+  'calendar.missed': 'Missed',
+  'calendar.upcoming': 'Planned',
+  'calendar.extra': 'Unplanned workout',
+
+  'schedule.added': 'Workout added to the calendar',
+  'schedule.removed': 'Workout removed from the calendar',
+  'schedule.title': 'Schedule workouts',
+  'schedule.weekly': 'Every week on {days}',
+  'schedule.weeklyMode': 'On fixed weekdays',
+  'schedule.dateMode': 'On a specific date',
+  'schedule.add': 'Add to calendar',
+
+  'weekday.sunday': 'Sunday',
+  'weekday.monday': 'Monday',
+  'weekday.tuesday': 'Tuesday',
+  'weekday.wednesday': 'Wednesday',
+  'weekday.thursday': 'Thursday',
+  'weekday.friday': 'Friday',
+  'weekday.saturday': 'Saturday',
+
+  'sets.normal': 'Normal',
+  'sets.warmup': 'Warm-up',
+  'sets.drop': 'Drop set',
+  'sets.amrap': 'AMRAP',
+  'sets.superset': 'Superset',
+  'sets.circuit': 'Circuit',
+
+  'tracking.reps': 'Reps and weight',
+  'tracking.duration': 'Time',
+  'tracking.distance': 'Distance',
+  'tracking.distanceTime': 'Distance and time',
+  'tracking.km': '{value} km',
+  'tracking.meters': '{value} m',
+  'tracking.miles': '{value} mi',
+  'tracking.yards': '{value} yd',
+  'tracking.inTime': '{distance} in {time}',
+  'tracking.setsOfReps': '{sets} sets × {reps} reps',
+  'tracking.pace': '{pace} /km',
+  'tracking.pacePerMile': '{pace} /mi',
+
+  'overload.bodyweight': 'bodyweight',
+
+  'units.metric': 'Metric (kg, cm, m)',
+  'units.imperial': 'Imperial (lb, in, yd)',
+  'units.kg': 'kg',
+  'units.cm': 'cm',
+  'units.m': 'm',
+  'units.lb': 'lb',
+  'units.inch': 'in',
+  'units.yd': 'yd',
+  'units.percent': '%',
+
+  'exercises.inUse': 'The exercise is used in programs: {programs}. Remove it from them first.',
+  'exercises.added': 'Exercise added',
+  'exercises.updated': 'Exercise updated',
+  'exercises.deleted': 'Exercise deleted',
+  'exercises.confirmDelete': 'Delete "{name}" from the library?',
+  'exercises.title': 'Exercise library',
+  'exercises.addTitle': 'Add a new exercise',
+  'exercises.name': 'Exercise name',
+  'exercises.muscleGroup': 'Muscle group',
+  'exercises.chooseMuscleGroup': 'Choose a muscle group',
+  'exercises.equipment': 'Equipment',
+  'exercises.equipmentNeeded': 'Equipment needed',
+  'exercises.chooseEquipment': 'Choose equipment',
+  'exercises.add': 'Add exercise',
+  'exercises.all': 'All exercises',
+  'exercises.search': 'Search exercises...',
+  'exercises.allMuscleGroups': 'All muscle groups',
+  'exercises.allEquipment': 'All equipment',
+  'exercises.noneFound': 'No exercises found.',
+  'exercises.instructions': 'Steps (one per line)',
+  'exercises.cues': 'Cues (one per line)',
+  'exercises.media': 'Add images or short clips (up to {mb}MB)',
+  'exercises.record': 'Record',
+  'exercises.estimatedOneRepMax': 'Estimated 1RM',
+  'exercises.usedIn': 'Used in {count} programs',
+  'exercises.usedIn_one': 'Used in 1 program',
+  'exercises.howTo': 'How to perform it?',
+  'exercises.mediaMissing': '{name} (not available right now)',
+
+  'media.unsupported': "This browser can't store media",
+  'media.wrongType': 'Only images and videos can be uploaded',
+  'media.tooLarge': 'The file is larger than {mb}MB',
+
+  'categories.inUse': 'Can\'t delete "{name}": {count} exercises belong to it',
+  'categories.inUse_one': 'Can\'t delete "{name}": 1 exercise belongs to it',
+  'categories.title': 'Categories',
+  'categories.muscleGroups': 'Muscle groups',
+  'categories.equipment': 'Equipment',
+  'categories.delete': 'Delete category',
+  'categories.new': 'New category',
+
+  'profile.saved': 'Profile saved',
+  'profile.title': 'Profile',
+  'profile.fullName': 'Full name',
+  'profile.email': 'Email',
+  'profile.phone': 'Phone',
+  'profile.language': 'Language',
+  'profile.units': 'Units',
+  'profile.goals': 'Goals',
+  'profile.weightGoal': 'Goal weight ({unit})',
+  'profile.bodyFatGoal': 'Goal body fat',
+  'profile.chestGoal': 'Goal chest ({unit})',
+  'profile.waistGoal': 'Goal waist ({unit})',
+  'profile.waterGoal': 'Daily water goal (liters)',
+  'profile.weeklyWorkoutGoal': 'Weekly workout goal',
+  'profile.draftMaxAge': 'Discard an unfinished workout after (hours)',
+  'profile.inactiveAlertDays': 'Flag a client as inactive after (days without a workout)',
+  'profile.oneRepMaxFormula': 'Estimated 1RM formula',
+  'profile.save': 'Save profile',
+
+  'password.wrongCurrent': 'The current password is wrong',
+  'password.changed': 'Password changed',
+  'password.mismatch': "The passwords don't match",
+  'password.title': 'Change password',
+  'password.current': 'Current password',
+  'password.new': 'New password',
+  'password.confirm': 'Confirm new password',
+  'password.change': 'Change password',
+
+  'backup.invalidJson': "The file isn't valid JSON",
+  'backup.notBackup': "The file isn't a Studio YM backup",
+  'backup.newerVersion': 'The backup was made by a newer version of the app',
+  'backup.invalidCollection': 'The {collection} data in the backup is invalid',
+  'backup.invalidMedia': 'The media files in the backup are invalid',
+  'backup.confirmReplace': 'All current data will be replaced with the backup. Continue?',
+  'backup.restored': 'Backup restored',
+  'backup.mediaFailed': 'Restoring the media files failed; nothing was restored',
+  'backup.title': 'Backup and restore',
+  'backup.exportTitle': 'Export client data',
+  'backup.fullTitle': 'Full backup',
+  'backup.fullBody': 'Download all users, programs, workouts and exercises, including images and clips, in one file.',
+  'backup.download': 'Download backup',
+  'backup.restoreTitle': 'Restore from backup',
+  'backup.from': 'Backup from: {date}',
+  'backup.mediaCount': 'Media files: {count}',
+  'backup.mediaCount_one': '1 media file',
+  'backup.type': 'Type',
+  'backup.inBackup': 'In backup',
+  'backup.new': 'New',
+  'backup.overwritten': 'Will replace existing',
+  'backup.current': 'Existing now',
+  'backup.collection.users': 'Users',
+  'backup.collection.programs': 'Programs',
+  'backup.collection.workouts': 'Workouts',
+  'backup.collection.exercises': 'Exercises',
+  'backup.collection.categories': 'Categories',
+  'backup.collection.comments': 'Trainer comments',
+  'backup.collection.feedbackReads': 'Feedback read markers',
+  'backup.merge': 'Merge – add records from the backup and update existing ones',
+  'backup.replace': 'Replace – delete the current data and restore only the backup',
+  'backup.restore': 'Restore',
+  'backup.csvTitle': 'Export to a spreadsheet (CSV)',
+  'backup.chooseClient': 'Choose a client',
+  'backup.exportWorkouts': 'Export workouts',
+  'backup.exportMetrics': 'Export metrics',
+
+  'users.trainerNotApproved': "The selected trainer isn't approved",
+  'users.title': 'Users',
+  'users.pendingTitle': 'Trainers waiting for approval',
+  'users.nonePending': 'No pending requests.',
+  'users.approve': 'Approve',
+  'users.approved': 'Trainer approved',
+  'users.confirmReject': "Delete {username}'s sign-up request?",
+  'users.reject': 'Reject',
+  'users.rejected': 'Request rejected',
+  'users.assignTitle': 'Assign clients to trainers',
+  'users.noTrainer': 'No trainer',
+  'users.assigned': 'Assignment updated'
+};
@@ -0,0 +1,491 @@
+// Hebrew messages. The default language, and the fallback for any key
+// missing from another catalog.
+
+export default {
+  'app.title': 'סטודיו YM - מעקב אימונים אישיים',
+
+  'common.loading': 'טוען...',
+  'common.date': 'תאריך',
+  'common.exercise': 'תרגיל',
+  'common.client': 'מתאמן',
+  'common.program': 'תוכנית',
+  'common.notes': 'הערות',
+  'common.seconds': '{count} שניות',
+  'common.unknown': 'לא ידוע',
+  'common.save': 'שמור',
+  'common.close': 'סגור',
+  'common.cancel': 'ביטול',
+  'common.add': 'הוסף',
+  'common.edit': 'ערוך',
+  'common.delete': 'מחק',
+  'common.remove': 'הסר',
+
+  'auth.userNotFound': 'משתמש לא נמצא',
+  'auth.locked': 'החשבון נעול. נסה שוב בעוד {minutes} דקות',
+  'auth.trainerPending': 'חשבון המאמן ממתין לאישור מנהל הסטודיו',
+  'auth.syncUnavailable': 'אין חיבור לשרת הסנכרון. יש להתחבר לרשת כדי להיכנס בפעם הראשונה במכשיר זה',
+  'auth.tooManyAttempts': 'יותר מדי ניסיונות כושלים. החשבון ננעל ל-15 דקות',
+  'auth.wrongPassword': 'סיסמה שגויה',
+  'auth.invalidRole': 'תפקיד לא חוקי',
+  'auth.missingCredentials': 'נא למלא שם משתמש וסיסמה',
+  'auth.passwordTooShort': 'הסיסמה חייבת להכיל לפחות {min} תווים',
+  'auth.usernameTaken': 'שם משתמש כבר קיים',
+  'auth.registeredTrainer': 'נרשמת בהצלחה. החשבון ימתין לאישור מנהל הסטודיו',
+  'auth.registered': 'נרשמת בהצלחה',
+  'auth.loginTitle': 'התחברות',
+  'auth.registerTitle': 'הרשמה',
+  'auth.username': 'שם משתמש',
+  'auth.password': 'סיסמה',
+  'auth.rememberMe': 'זכור אותי',
+  'auth.role': 'תפקיד',
+  'auth.roleClient': 'לקוח',
+  'auth.roleTrainer': 'מאמן',
+  'auth.trainer': 'מאמן',
+  'auth.chooseTrainer': 'בחר מאמן',
+  'auth.login': 'התחבר',
+  'auth.createAccount': 'צור חשבון',
+  'auth.toRegister': 'אין לך חשבון? לחץ כאן להרשמה',
+  'auth.toLogin': 'כבר רשום? לחץ כאן להתחברות',
+
+  'permissions.denied': 'אין לך הרשאה לבצע פעולה זו',
+  'permissions.editProgram': 'אין לך הרשאה לערוך תוכנית זו',
+  'permissions.assignProgram': 'אין לך הרשאה להקצות תוכנית זו למתאמן זה',
+  'permissions.schedule': 'אין לך הרשאה לתזמן אימונים למתאמן זה',
+  'permissions.comment': 'אין לך הרשאה להגיב על האימונים של מתאמן זה',
+
+  'storageError.title': 'שגיאה בטעינת הנתונים',
+  'storageError.body': 'לא ניתן לקרוא את הנתונים השמורים. הנתונים לא נמחקו.',
+  'storageError.confirmRecover': 'הנתונים הפגומים יישמרו בגיבוי והאפליקציה תתחיל מחדש. להמשיך?',
+  'storageError.recover': 'גבה את הנתונים הפגומים והתחל מחדש',
+
+  'nav.welcome': 'סטודיו YM - ברוך הבא, {name}',
+  'nav.dashboard': 'דשבורד',
+  'nav.programs': 'תוכניות',
+  'nav.metrics': 'מדדים',
+  'nav.workouts': 'אימונים',
+  'nav.calendar': 'לוח אימונים',
+  'nav.water': 'שתייה',
+  'nav.exercises': 'ספריית תרגילים',
+  'nav.profile': 'פרופיל',
+  'nav.users': 'ניהול משתמשים',
+  'nav.backup': 'גיבוי',
+  'nav.export': 'ייצוא',
+  'nav.logout': 'התנתק',
+
+  'notFound.title': 'הדף לא נמצא',
+  'notFound.body': 'הקישור שגוי, או שאין לך גישה לתוכן זה.',
+  'notFound.back': 'חזרה לדשבורד',
+
+  'sync.synced': 'מסונכרן',
+  'sync.syncing': 'מסנכרן...',
+  'sync.pending': 'ממתין לסנכרון ({pending})',
+  'sync.offline': 'לא מקוון ({pending} שינויים ממתינים)',
+  'sync.error': 'שגיאת סנכרון',
+
+  'pwa.updateAvailable': 'גרסה חדשה של האפליקציה זמינה',
+  'pwa.update': 'עדכן עכשיו',
+  'pwa.later': 'אחר כך',
+
+  'records.heaviest': 'משקל מקסימלי',
+  'records.bestVolume': 'נפח סט מקסימלי',
+  'records.bestOneRepMax': '1RM משוער',
+  'records.none': 'עדיין אין שיאים אישיים.',
+  'records.title': 'שיאים אישיים ({formula})',
+  'records.new': 'שיאים חדשים!',
+
+  'water.glass': 'כוס',
+  'water.smallBottle': 'בקבוק קטן',
+  'water.bottle': 'בקבוק',
+  'water.largeBottle': 'בקבוק גדול',
+  'water.ofGoal': "מתוך {goal} ל'",
+  'water.liters': 'ליטר',
+  'water.ml': '{ml} מ"ל',
+  'water.undo': 'בטל אחרון',
+  'water.title': 'מעקב שתייה',
+  'water.history': '30 הימים האחרונים – עמידה ביעד ב-{count} ימים',
+  'water.amount': 'כמות (ליטר)',
+  'water.goal': 'יעד',
+
+  'dashboard.title': 'דשבורד - סטודיו YM',
+  'dashboard.draftPrompt': 'יש לך אימון שלא הסתיים. רוצה להמשיך מאיפה שעצרת?',
+  'dashboard.workoutsThisWeek': 'אימונים השבוע',
+  'dashboard.adherence': 'עמידה ביעד ב-4 השבועות האחרונים: {percent}%',
+  'dashboard.belowGoal': 'פחות אימונים מהיעד שבועיים ברציפות',
+  'dashboard.goalProgress': '{percent}% מהדרך (התחלה: {start})',
+  'dashboard.trendAway': 'המגמה מתרחקת מהיעד',
+  'dashboard.waterToday': 'שתייה היום',
+  'dashboard.workoutSummary': 'סיכום אימונים',
+  'dashboard.totalWorkouts': 'סה"כ אימונים',
+  'dashboard.lastMetric': 'נתוני המדידה האחרונה:',
+  'dashboard.currentProgram': 'התוכנית הנוכחית שלך:',
+  'dashboard.upNext': 'האימון הבא',
+
+  'overview.title': 'המתאמנים שלי',
+  'overview.noClients': 'אין מתאמנים משויכים אליך.',
+  'overview.inactiveCount': '{count} מתאמנים לא התאמנו {days} ימים או יותר',
+  'overview.inactiveCount_one': 'מתאמן אחד לא התאמן {days} ימים או יותר',
+  'overview.lastWorkout': 'אימון אחרון',
+  'overview.thisWeek': 'השבוע (בוצע / מתוכנן)',
+  'overview.weightChange': 'שינוי משקל אחרון',
+  'overview.never': 'טרם התאמן',
+  'overview.inactiveDays': 'ללא אימון {count} ימים',
+  'overview.history': 'היסטוריה',
+
+  'programs.defaultDuration': '45 דקות',
+  'programs.dayName': 'אימון {letter}',
+  'programs.created': 'תוכנית נוצרה בהצלחה',
+  'programs.assigned': 'התוכנית הוקצתה בהצלחה',
+  'programs.duplicatePrompt': 'שם לתוכנית החדשה:',
+  'programs.copyName': '{name} (עותק)',
+  'programs.duplicated': 'נוצרה תוכנית "{name}" מהתבנית',
+  'programs.manageTitle': 'ניהול תוכניות',
+  'programs.createTitle': 'צור תוכנית חדשה',
+  'programs.name': 'שם',
+  'programs.description': 'תיאור',
+  'programs.difficulty': 'רמת קושי',
+  'programs.duration': 'משך זמן',
+  'programs.easy': 'קל',
+  'programs.medium': 'בינוני',
+  'programs.hard': 'קשה',
+  'programs.assignTitle': 'הקצה תוכנית למשתמש',
+  'programs.chooseUser': 'בחר משתמש',
+  'programs.choose': 'בחר תוכנית',
+  'programs.assign': 'הקצה',
+  'programs.all': 'כל התוכניות',
+  'programs.mine': 'התוכניות שלי ושל המתאמנים שלי',
+  'programs.days': 'ימי אימון',
+  'programs.exercises': 'תרגילים',
+  'programs.phases': 'שלבים',
+  'programs.edit': 'ערוך תוכנית',
+  'programs.view': 'צפה בתוכנית',
+  'programs.duplicate': 'שכפל כתבנית',
+  'programs.myProgram': 'התוכנית שלי',
+  'programs.noneAssigned': 'לא הוקצתה לך תוכנית.',
+  'programs.weeks': '{count} שבועות',
+  'programs.groupRest': 'מנוחה {seconds} שניות אחרי כל סבב',
+  'programs.rest': 'מנוחה',
+  'programs.unknown': 'תוכנית לא ידועה',
+
+  'editor.savedVersion': 'נשמרה גרסה {version}',
+  'editor.confirmClose': 'יש שינויים שלא נשמרו. לסגור בלי לשמור?',
+  'editor.newerVersion': 'גרסה {version} של התוכנית נשמרה במקום אחר בזמן שערכת אותה.',
+  'editor.loadNewer': 'לטעון אותה ולבטל את השינויים שלי',
+  'editor.keepEdits': 'להמשיך עם השינויים שלי',
+  'editor.confirmRemoveDay': 'למחוק את {name} וכל התרגילים בו?',
+  'editor.phaseName': 'שלב {number}',
+  'editor.title': 'עריכת תוכנית: {name}',
+  'editor.phasesTitle': 'שלבים (תקופות)',
+  'editor.noPhases': 'ללא שלבים – אותם יעדים בכל שבוע.',
+  'editor.weeks': 'שבועות',
+  'editor.removePhase': 'הסר שלב',
+  'editor.addPhase': 'הוסף שלב',
+  'editor.removeDay': 'מחק יום',
+  'editor.chooseExercise': 'בחר תרגיל',
+  'editor.addExercise': 'הוסף תרגיל',
+  'editor.noExercises': 'אין תרגילים ביום זה.',
+  'editor.groupRest': 'מנוחה משותפת אחרי כל סבב (שניות)',
+  'editor.tracking': 'סוג מעקב',
+  'editor.sets': 'סטים',
+  'editor.rounds': 'סבבים',
+  'editor.reps': 'חזרות',
+  'editor.weight': 'משקל ({unit})',
+  'editor.increment': 'תוספת משקל ({unit})',
+  'editor.distance': 'מרחק ({unit})',
+  'editor.workTime': 'זמן עבודה (שניות)',
+  'editor.targetTime': 'זמן יעד (שניות)',
+  'editor.rest': 'מנוחה (שניות)',
+  'editor.setTypes': 'סוגי סטים',
+  'editor.removeExercise': 'הסר תרגיל',
+  'editor.unlink': 'בטל קישור לתרגיל הבא',
+  'editor.link': 'קשר לתרגיל הבא (סופרסט / מעגל)',
+  'editor.addDay': 'הוסף יום אימון',
+  'editor.saveVersion': 'שמור גרסה {version}',
+  'editor.discard': 'בטל שינויים',
+  'editor.close': 'סגור עורך',
+
+  'versions.version': 'גרסה {version}',
+  'versions.title': 'היסטוריית גרסאות',
+  'versions.compare': 'השווה',
+  'versions.compareTo': 'ל-',
+  'versions.noChanges': 'אין הבדלים בין הגרסאות.',
+  'versions.added': 'נוסף',
+  'versions.removed': 'הוסר',
+  'versions.program': 'תוכנית',
+  'versions.phase': 'שלב {name}',
+  'versions.exerciseCount': '{count} תרגילים',
+  'versions.field.name': 'שם',
+  'versions.field.description': 'תיאור',
+  'versions.field.difficulty': 'רמת קושי',
+  'versions.field.duration': 'משך זמן',
+  'versions.field.sets': 'סטים',
+  'versions.field.reps': 'חזרות',
+  'versions.field.weight': 'משקל',
+  'versions.field.increment': 'תוספת משקל',
+  'versions.field.tracking': 'סוג מעקב',
+  'versions.field.durationSeconds': 'זמן (שניות)',
+  'versions.field.distanceMeters': "מרחק (מ')",
+  'versions.field.rest': 'מנוחה',
+  'versions.field.setTypes': 'סוגי סטים',
+  'versions.field.groupRest': 'מנוחה בין סבבים',
+  'versions.field.order': 'סדר התרגילים',
+  'versions.field.notes': 'הערות',
+  'versions.field.weeks': 'שבועות',
+
+  'metrics.none': 'אין מדידות עדיין.',
+  'metrics.weight': 'משקל',
+  'metrics.bodyFat': 'אחוז שומן',
+  'metrics.chest': 'היקף חזה',
+  'metrics.waist': 'היקף מותניים',
+  'metrics.saved': 'המדידה נשמרה בהצלחה',
+  'metrics.title': 'מדדים',
+  'metrics.clients': 'מדדי מתאמנים',
+  'metrics.save': 'שמור מדידה',
+  'metrics.progress': 'התקדמות',
+  'metrics.history': 'היסטוריית מדידות',
+  'metrics.noneInRange': 'אין מדידות בטווח זה.',
+  'metrics.trend': 'מגמה: {change} לשבוע',
+  'metrics.goal': 'יעד',
+  'metrics.projected': 'צפי להגעה ליעד: {date}',
+  'metrics.notApproaching': 'המגמה הנוכחית אינה מתקרבת ליעד',
+  'metrics.range1m': 'חודש',
+  'metrics.range3m': '3 חודשים',
+  'metrics.range1y': 'שנה',
+  'metrics.rangeAll': 'הכל',
+
+  'workouts.resume': 'המשך אימון',
+  'workouts.draftProgramGone': 'התוכנית של האימון שלא הסתיים אינה זמינה עוד',
+  'workouts.confirmDiscardDraft': 'למחוק את האימון שלא הסתיים? כל הסטים שנרשמו בו יימחקו.',
+  'workouts.confirmCancel': 'לבטל את האימון? כל הסטים שנרשמו יימחקו.',
+  'workouts.confirmReplaceDraft': 'יש אימון שלא הסתיים. להתחיל אימון חדש ולמחוק אותו?',
+  'workouts.completed': 'האימון הושלם בהצלחה!',
+  'workouts.target': 'יעד',
+  'workouts.lastTime': 'פעם קודמת',
+  'workouts.progress': 'הגיע הזמן להתקדם!',
+  'workouts.today': 'יעד להיום:',
+  'workouts.reps': '{count} חזרות',
+  'workouts.set': 'סט {number}',
+  'workouts.round': 'סבב {number}',
+  'workouts.distance': 'מרחק ({unit})',
+  'workouts.minutes': "דק'",
+  'workouts.seconds': "שנ'",
+  'workouts.startTimer': 'הפעל טיימר',
+  'workouts.logRound': 'רשום סבב',
+  'workouts.maxReps': 'מקסימום חזרות',
+  'workouts.logSet': 'רשום סט',
+  'workouts.title': 'אימונים',
+  'workouts.draftFrom': 'יש לך אימון שלא הסתיים מ-{date} ({count} סטים נרשמו)',
+  'workouts.start': 'התחל אימון',
+  'workouts.chooseProgram': 'בחר תוכנית אימון',
+  'workouts.nextInLine': 'הבא בתור',
+  'workouts.currentPhase': 'שלב נוכחי: {name} – שבוע {week} מתוך {weeks}',
+  'workouts.history': 'היסטוריית אימונים',
+  'workouts.noneYet': 'עדיין לא השלמת אימונים',
+  'workouts.duration': 'משך',
+  'workouts.distanceTotal': 'מרחק',
+  'workouts.inProgress': 'אימון בתהליך: {name}',
+  'workouts.phase': 'שלב',
+  'workouts.elapsed': 'זמן אימון',
+  'workouts.next': 'הבא',
+  'workouts.groupRest': 'מנוחה אחרי כל סבב: {seconds} שניות',
+  'workouts.notes': 'הערות לאימון',
+  'workouts.notesPlaceholder': 'איך הרגשת? מה הלך טוב? מה אפשר לשפר?',
+  'workouts.finish': 'סיים אימון',
+  'workouts.cancel': 'בטל אימון',
+
+  'workoutDetails.programVersion': 'גרסת תוכנית',
+  'workoutDetails.updatedSince': 'התוכנית עודכנה מאז לגרסה {version}',
+  'workoutDetails.noSets': 'לא נרשמו סטים',
+  'workoutDetails.total': 'סה"כ',
+  'workoutDetails.averagePace': 'קצב ממוצע {pace}',
+  'workoutDetails.back': 'חזרה לאימונים',
+
+  'feedback.title': 'משוב מהמאמן',
+  'feedback.unread': '{count} הערות חדשות מהמאמן',
+  'feedback.unread_one': 'הערה חדשה מהמאמן',
+  'feedback.new': 'משוב חדש',
+  'feedback.sessionPlaceholder': 'הערה על האימון כולו',
+  'feedback.exercisePlaceholder': 'הערה על התרגיל',
+  'feedback.add': 'הוספת הערה',
+  'feedback.confirmDelete': 'למחוק את ההערה?',
+
+  'timer.restOver': 'המנוחה הסתיימה – לסט הבא!',
+  'timer.rest': 'מנוחה ({name})',
+  'timer.skip': 'דלג',
+  'timer.work': 'עבודה: {name} – סבב {round}/{rounds}',
+  'timer.restBefore': 'מנוחה לפני סבב {round}/{rounds}',
+  'timer.stop': 'עצור',
+
+  'calendar.title': 'לוח אימונים',
+  'calendar.clients': 'לוחות מתאמנים',
+  'calendar.previousMonth': '→ חודש קודם',
+  'calendar.nextMonth': 'חודש הבא ←',
+  'calendar.done': 'בוצע',
+  'calendar.missed': 'הוחמץ',
+  'calendar.upcoming': 'מתוכנן',
+  'calendar.extra': 'אימון לא מתוכנן',
+
+  'schedule.added': 'האימון נוסף ללוח',
+  'schedule.removed': 'האימון הוסר מהלוח',
+  'schedule.title': 'תזמון אימונים',
+  'schedule.weekly': 'כל שבוע בימי {days}',
+  'schedule.weeklyMode': 'קבוע בימים בשבוע',
+  'schedule.dateMode': 'בתאריך מסוים',
+  'schedule.add': 'הוסף ללוח',
+
+  'weekday.sunday': 'ראשון',
+  'weekday.monday': 'שני',
+  'weekday.tuesday': 'שלישי',
+  'weekday.wednesday': 'רביעי',
+  'weekday.thursday': 'חמישי',
+  'weekday.friday': 'שישי',
+  'weekday.saturday': 'שבת',
+
+  'sets.normal': 'רגיל',
+  'sets.warmup': 'חימום',
+  'sets.drop': 'דרופ סט',
+  'sets.amrap': 'AMRAP',
+  'sets.superset': 'סופרסט',
+  'sets.circuit': 'מעגל',
+
+  'tracking.reps': 'חזרות ומשקל',
+  'tracking.duration': 'זמן',
+  'tracking.distance': 'מרחק',
+  'tracking.distanceTime': 'מרחק וזמן',
+  'tracking.km': '{value} ק"מ',
+  'tracking.meters': "{value} מ'",
+  'tracking.miles': '{value} מייל',
+  'tracking.yards': '{value} יארד',
+  'tracking.inTime': '{distance} ב-{time}',
+  'tracking.setsOfReps': '{sets} סטים × {reps} חזרות',
+  'tracking.pace': '{pace} לק"מ',
+  'tracking.pacePerMile': '{pace} למייל',
+
+  'overload.bodyweight': 'משקל גוף',
+
+  'units.metric': 'מטרי (ק"ג, ס"מ, מטר)',
+  'units.imperial': "אימפריאלי (lb, אינץ', יארד)",
+  'units.kg': 'ק"ג',
+  'units.cm': 'ס"מ',
+  'units.m': "מ'",
+  'units.lb': 'lb',
+  'units.inch': "אינץ'",
+  'units.yd': 'יארד',
+  'units.percent': '%',
+
+  'exercises.inUse': 'התרגיל בשימוש בתוכניות: {programs}. הסר אותו מהן קודם.',
+  'exercises.added': 'התרגיל נוסף בהצלחה',
+  'exercises.updated': 'התרגיל עודכן',
+  'exercises.deleted': 'התרגיל נמחק',
+  'exercises.confirmDelete': 'למחוק את "{name}" מהספרייה?',
+  'exercises.title': 'ספריית תרגילים',
+  'exercises.addTitle': 'הוסף תרגיל חדש',
+  'exercises.name': 'שם התרגיל',
+  'exercises.muscleGroup': 'קבוצת שרירים',
+  'exercises.chooseMuscleGroup': 'בחר קבוצת שרירים',
+  'exercises.equipment': 'ציוד',
+  'exercises.equipmentNeeded': 'ציוד נדרש',
+  'exercises.chooseEquipment': 'בחר ציוד',
+  'exercises.add': 'הוסף תרגיל',
+  'exercises.all': 'כל התרגילים',
+  'exercises.search': 'חיפוש תרגיל...',
+  'exercises.allMuscleGroups': 'כל קבוצות השרירים',
+  'exercises.allEquipment': 'כל הציוד',
+  'exercises.noneFound': 'לא נמצאו תרגילים.',
+  'exercises.instructions': 'שלבי ביצוע (שלב בכל שורה)',
+  'exercises.cues': 'דגשים (דגש בכל שורה)',
+  'exercises.media': 'הוסף תמונות או סרטונים קצרים (עד {mb}MB)',
+  'exercises.record': 'שיא',
+  'exercises.estimatedOneRepMax': '1RM משוער',
+  'exercises.usedIn': 'בשימוש ב-{count} תוכניות',
+  'exercises.howTo': 'איך מבצעים?',
+  'exercises.mediaMissing': '{name} (לא זמין כעת)',
+
+  'media.unsupported': 'הדפדפן אינו תומך בשמירת מדיה',
+  'media.wrongType': 'ניתן להעלות תמונות וסרטונים בלבד',
+  'media.tooLarge': 'הקובץ גדול מ-{mb}MB',
+
+  'categories.inUse': 'לא ניתן למחוק את "{name}": {count} תרגילים משויכים אליה',
+  'categories.title': 'קטגוריות',
+  'categories.muscleGroups': 'קבוצות שרירים',
+  'categories.equipment': 'ציוד',
+  'categories.delete': 'מחק קטגוריה',
+  'categories.new': 'קטגוריה חדשה',
+
+  'profile.saved': 'הפרופיל נשמר בהצלחה',
+  'profile.title': 'פרופיל',
+  'profile.fullName': 'שם מלא',
+  'profile.email': 'אימייל',
+  'profile.phone': 'טלפון',
+  'profile.language': 'שפה',
+  'profile.units': 'יחידות מידה',
+  'profile.goals': 'יעדים',
+  'profile.weightGoal': 'משקל יעד ({unit})',
+  'profile.bodyFatGoal': 'אחוז שומן יעד',
+  'profile.chestGoal': 'היקף חזה יעד ({unit})',
+  'profile.waistGoal': 'היקף מותניים יעד ({unit})',
+  'profile.waterGoal': 'יעד שתייה יומית (ליטר)',
+  'profile.weeklyWorkoutGoal': 'יעד אימונים שבועי',
+  'profile.draftMaxAge': 'ביטול אוטומטי של אימון שלא הסתיים אחרי (שעות)',
+  'profile.inactiveAlertDays': 'סימון מתאמן לא פעיל אחרי (ימים ללא אימון)',
+  'profile.oneRepMaxFormula': 'נוסחת 1RM משוער',
+  'profile.save': 'שמור פרופיל',
+
+  'password.wrongCurrent': 'הסיסמה הנוכחית שגויה',
+  'password.changed': 'הסיסמה שונתה בהצלחה',
+  'password.mismatch': 'הסיסמאות אינן תואמות',
+  'password.title': 'שינוי סיסמה',
+  'password.current': 'סיסמה נוכחית',
+  'password.new': 'סיסמה חדשה',
+  'password.confirm': 'אימות סיסמה חדשה',
+  'password.change': 'שנה סיסמה',
+
+  'backup.invalidJson': 'הקובץ אינו קובץ JSON תקין',
+  'backup.notBackup': 'הקובץ אינו גיבוי של סטודיו YM',
+  'backup.newerVersion': 'הגיבוי נוצר בגרסה חדשה יותר של האפליקציה',
+  'backup.invalidCollection': 'נתוני {collection} בגיבוי אינם תקינים',
+  'backup.invalidMedia': 'קבצי המדיה בגיבוי אינם תקינים',
+  'backup.confirmReplace': 'כל הנתונים הנוכחיים יוחלפו בנתוני הגיבוי. להמשיך?',
+  'backup.restored': 'הגיבוי שוחזר בהצלחה',
+  'backup.mediaFailed': 'שחזור קבצי המדיה נכשל; הנתונים לא שוחזרו',
+  'backup.title': 'גיבוי ושחזור',
+  'backup.exportTitle': 'ייצוא נתוני מתאמנים',
+  'backup.fullTitle': 'גיבוי מלא',
+  'backup.fullBody': 'הורדת כל המשתמשים, התוכניות, האימונים והתרגילים, כולל תמונות וסרטונים, לקובץ אחד.',
+  'backup.download': 'הורד גיבוי',
+  'backup.restoreTitle': 'שחזור מגיבוי',
+  'backup.from': 'גיבוי מתאריך: {date}',
+  'backup.mediaCount': 'קבצי מדיה: {count}',
+  'backup.mediaCount_one': 'קובץ מדיה אחד',
+  'backup.type': 'סוג',
+  'backup.inBackup': 'בגיבוי',
+  'backup.new': 'חדשים',
+  'backup.overwritten': 'יחליפו קיימים',
+  'backup.current': 'קיימים כעת',
+  'backup.collection.users': 'משתמשים',
+  'backup.collection.programs': 'תוכניות',
+  'backup.collection.workouts': 'אימונים',
+  'backup.collection.exercises': 'תרגילים',
+  'backup.collection.categories': 'קטגוריות',
+  'backup.collection.comments': 'הערות מאמן',
+  'backup.collection.feedbackReads': 'סימוני קריאת משוב',
+  'backup.merge': 'מיזוג – הוספת רשומות מהגיבוי ועדכון רשומות קיימות',
+  'backup.replace': 'החלפה – מחיקת הנתונים הנוכחיים ושחזור הגיבוי בלבד',
+  'backup.restore': 'שחזר',
+  'backup.csvTitle': 'ייצוא לגיליון (CSV)',
+  'backup.chooseClient': 'בחר מתאמן',
+  'backup.exportWorkouts': 'ייצוא אימונים',
+  'backup.exportMetrics': 'ייצוא מדדים',
+
+  'users.trainerNotApproved': 'המאמן שנבחר אינו מאושר',
+  'users.title': 'ניהול משתמשים',
+  'users.pendingTitle': 'מאמנים הממתינים לאישור',
+  'users.nonePending': 'אין בקשות ממתינות.',
+  'users.approve': 'אשר',
+  'users.approved': 'המאמן אושר',
+  'users.confirmReject': 'למחוק את בקשת ההרשמה של {username}?',
+  'users.reject': 'דחה',
+  'users.rejected': 'הבקשה נדחתה',
+  'users.assignTitle': 'שיוך מתאמנים למאמנים',
+  'users.noTrainer': 'ללא מאמן',
+  'users.assigned': 'השיוך עודכן'
+};
@@ -1,8 +1,12 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import { applyDocumentLanguage } from './i18n.js';
 import './App.css';
 
+// The document's lang, direction and title follow the stored language
+applyDocumentLanguage();
+
 const container = document.getElementById('root');
 const root = createRoot(container);
 root.render(<App />);
\ No newline at end of file
@@ -0,0 +1,201 @@
+// Exercise images and short clips, kept as Blobs in their own IndexedDB
+// database. Library exercises hold only { id, type, name } entries in
+// their media array. With a sync server, files saved or deleted here are
+// queued (the pending store) and the sync engine uploads them; a device
+// missing a file fetches it from the server and keeps a copy. Backups carry
+// the files as data URLs.
+
+import { useState, useEffect } from 'react';
+import { generateId } from './utils.js';
+import { t } from './i18n.js';
+import { SYNC_URL } from './sync.js';
+
+const DB_NAME = 'studio_ym_media';
+const DB_VERSION = 2; // 2: pending uploads
+const STORE = 'media';
+const PENDING_STORE = 'pending';
+
+// Largest file accepted, so a long video doesn't fill the browser's quota
+export const MAX_MEDIA_MB = 15;
+
+let dbPromise = null;
+
+// Helper: open the media database once and share the connection
+function openMediaDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof window === 'undefined' || !window.indexedDB) {
+        reject(new Error(t('media.unsupported')));
+        return;
+      }
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        [STORE, PENDING_STORE].forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        });
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer build upgrade the database; the next call reopens it
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Helper: run one request against a store (the media store by default)
+async function withStore(mode, makeRequest, name = STORE) {
+  const db = await openMediaDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = makeRequest(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Store an uploaded image or video file. Resolves to the media entry to keep
+// on the exercise; rejects with a user-facing message for other files.
+export async function saveMedia(file) {
+  const type = file.type.split('/')[0];
+  if (type !== 'image' && type !== 'video') {
+    throw new Error(t('media.wrongType'));
+  }
+  if (file.size > MAX_MEDIA_MB * 1024 * 1024) {
+    throw new Error(t('media.tooLarge', { mb: MAX_MEDIA_MB }));
+  }
+  const id = generateId();
+  await storeMedia(id, file);
+  return { id, type, name: file.name };
+}
+
+// Helper: keep a file on this device and queue it for upload
+async function storeMedia(id, blob) {
+  await withStore('readwrite', (store) => store.put(blob, id));
+  await queueMedia([id], 'put');
+}
+
+// Helper: remember files the sync server still has to get or drop
+async function queueMedia(ids, action) {
+  if (!SYNC_URL || ids.length === 0) return;
+  await withStore('readwrite', (store) => {
+    let request;
+    ids.forEach((id) => {
+      request = store.put(action, id);
+    });
+    return request;
+  }, PENDING_STORE);
+}
+
+// The Blob of a media entry, fetched from the sync server (and kept) when it
+// isn't on this device yet; undefined when neither has it
+export async function loadMedia(id) {
+  const blob = await withStore('readonly', (store) => store.get(id));
+  if (blob || !SYNC_URL) return blob;
+  const res = await fetch(`${SYNC_URL}/api/media/${encodeURIComponent(id)}`);
+  if (!res.ok) return undefined;
+  const remote = await res.blob();
+  await withStore('readwrite', (store) => store.put(remote, id));
+  return remote;
+}
+
+export async function deleteMedia(ids) {
+  if (ids.length === 0) return;
+  await withStore('readwrite', (store) => {
+    let request;
+    ids.forEach((id) => {
+      request = store.delete(id);
+    });
+    return request;
+  });
+  await queueMedia(ids, 'delete');
+}
+
+// Queued uploads and deletions for the sync engine: [{ id, action, blob }],
+// blob being this device's file for an upload (undefined if it's gone since)
+export async function pendingMedia() {
+  const [ids, actions] = await Promise.all([
+    withStore('readonly', (store) => store.getAllKeys(), PENDING_STORE),
+    withStore('readonly', (store) => store.getAll(), PENDING_STORE)
+  ]);
+  return Promise.all(ids.map(async (id, i) => ({
+    id,
+    action: actions[i],
+    blob: actions[i] === 'put' ? await withStore('readonly', (store) => store.get(id)) : undefined
+  })));
+}
+
+// Drop a queued change once the server has it, unless a newer one replaced it
+export async function clearPendingMedia(id, action) {
+  const current = await withStore('readonly', (store) => store.get(id), PENDING_STORE);
+  if (current === action) {
+    await withStore('readwrite', (store) => store.delete(id), PENDING_STORE);
+  }
+}
+
+// Ids of the media files used by library exercises
+export const mediaIdsOf = (exercises) => exercises.flatMap((ex) => (ex.media || []).map((m) => m.id));
+
+// Helper: Blob to data URL and back, for backups
+const toDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+const fromDataUrl = (url) => fetch(url).then((res) => res.blob());
+
+// Media files for a backup: { id: data URL } for each file that can be found
+export async function exportMedia(ids) {
+  const media = {};
+  for (const id of ids) {
+    const blob = await loadMedia(id).catch(() => undefined);
+    if (blob) media[id] = await toDataUrl(blob);
+  }
+  return media;
+}
+
+// Store the media files of a restored backup
+export async function importMedia(media) {
+  for (const [id, url] of Object.entries(media)) {
+    await storeMedia(id, await fromDataUrl(url));
+  }
+}
+
+// Hook: an object URL for a media entry. missing is true once it's known the
+// file isn't stored on this device.
+export function useMediaUrl(id) {
+  const [state, setState] = useState({ url: null, missing: false });
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    loadMedia(id)
+      .then((blob) => {
+        if (cancelled) return;
+        if (!blob) {
+          setState({ url: null, missing: true });
+          return;
+        }
+        url = URL.createObjectURL(blob);
+        setState({ url, missing: false });
+      })
+      .catch(() => !cancelled && setState({ url: null, missing: true }));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [id]);
+  return state;
+}
@@ -0,0 +1,191 @@
+// Schema migrations for stored studio data.
+// Each migration upgrades the full data set by one version. Data written before
+// versioning existed is treated as version 0. Never edit a migration once it has
+// shipped; add a new one instead.
+
+import { generateId } from './utils.js';
+
+// Parse a date string written by toLocaleDateString('he-IL') (d.m.yyyy) or
+// any format Date understands, returning an ISO string or null.
+function normalizeDate(value) {
+  if (!value) return null;
+  const match = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(String(value).trim());
+  if (match) {
+    const [, day, month, year] = match.map(Number);
+    // Noon UTC keeps the calendar day stable in every timezone we display in
+    return new Date(Date.UTC(year, month - 1, day, 12)).toISOString();
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Normalize legacy records: ISO metric dates, program defaults, missing ids',
+    up(data) {
+      const users = data.users.map((u) => ({
+        ...u,
+        goals: u.goals || {},
+        waterGoal: u.waterGoal ?? 2,
+        assignedProgramId: u.assignedProgramId ?? null,
+        completedWorkouts: u.completedWorkouts || [],
+        metrics: (u.metrics || []).map((m) => ({
+          ...m,
+          date: normalizeDate(m.date) || new Date(0).toISOString()
+        }))
+      }));
+
+      const programs = data.programs.map((p) => {
+        const exercises = (p.exercises || []).map((ex) => ({
+          ...ex,
+          id: ex.id || generateId(),
+          weight: ex.weight ?? 0,
+          rest: ex.rest ?? 60,
+          notes: ex.notes || '',
+          video: ex.video || ''
+        }));
+        const targetMuscles = p.targetMuscles || [
+          ...new Set(exercises.map((ex) => ex.muscleGroup).filter(Boolean))
+        ];
+        return {
+          ...p,
+          description: p.description || '',
+          difficulty: p.difficulty || 'בינוני',
+          duration: p.duration || '45 דקות',
+          targetMuscles,
+          exercises
+        };
+      });
+
+      const exercises = data.exercises.map((ex) => ({ ...ex, id: ex.id || generateId() }));
+
+      return { ...data, users, programs, exercises };
+    }
+  },
+  {
+    version: 2,
+    description: 'Roles: promote a studio owner, approve existing trainers, record program owners',
+    up(data) {
+      const owner = data.users.find((u) => u.role === 'owner') ||
+        data.users.find((u) => u.role === 'trainer' && u.username === 'admin') ||
+        data.users.find((u) => u.role === 'trainer');
+      const ownerId = owner ? owner.id : null;
+
+      const users = data.users.map((u) => {
+        if (u.id === ownerId) return { ...u, role: 'owner', approved: true };
+        if (u.role === 'client') return { ...u, approved: true, trainerId: u.trainerId ?? null };
+        // Trainers who already had access keep it
+        return { ...u, approved: u.approved ?? true };
+      });
+      const programs = data.programs.map((p) => ({ ...p, ownerId: p.ownerId ?? ownerId }));
+
+      return { ...data, users, programs };
+    }
+  },
+  {
+    version: 3,
+    description: 'Split programs: move program exercises into a first workout day, add phases',
+    up(data) {
+      const dayIds = {};
+      const programs = data.programs.map((p) => {
+        const { exercises = [], ...rest } = p;
+        if (p.days) return { ...rest, phases: p.phases || [] };
+        // The id derives from the program so devices migrating separately agree on it
+        const day = { id: `${p.id}_day_a`, name: 'אימון A', exercises };
+        dayIds[p.id] = day.id;
+        return { ...rest, days: [day], phases: p.phases || [] };
+      });
+      // Existing workouts were all done on what is now each program's first day
+      const workouts = data.workouts.map((w) => ({ ...w, dayId: w.dayId ?? dayIds[w.programId] ?? null }));
+
+      return { ...data, programs, workouts };
+    }
+  },
+  {
+    version: 4,
+    description: 'Program versions: record each program as version 1 and link existing workouts to it',
+    up(data) {
+      const programs = data.programs.map((p) => {
+        if (p.versions) return p;
+        const content = {};
+        ['name', 'description', 'difficulty', 'duration', 'targetMuscles', 'days', 'phases'].forEach((field) => {
+          content[field] = p[field];
+        });
+        return { ...p, version: 1, versions: [{ version: 1, savedAt: null, savedBy: p.ownerId, content }] };
+      });
+      // What was prescribed before versioning is unknown; the current content is the best record of it
+      const workouts = data.workouts.map((w) => ({ ...w, programVersion: w.programVersion ?? 1 }));
+
+      return { ...data, programs, workouts };
+    }
+  },
+  {
+    version: 5,
+    description: 'Exercise library: staff-managed categories, link program exercises to library entries',
+    up(data) {
+      // Ids derive from the name so devices migrating separately agree on them
+      const categories = [...(data.categories || [])];
+      const addCategory = (type, name) => {
+        if (name && !categories.some((c) => c.type === type && c.name === name)) {
+          categories.push({ id: `category_${type}_${name}`, type, name });
+        }
+      };
+      ['חזה', 'גב', 'כתפיים', 'רגליים', 'בטן', 'זרועות', 'ישבן'].forEach((name) => addCategory('muscleGroup', name));
+      ['משקל גוף', 'משקולות', 'כבל', 'מכונה', 'אלסטיק', 'כדור רפואי'].forEach((name) => addCategory('equipment', name));
+      data.exercises.forEach((ex) => {
+        addCategory('muscleGroup', ex.muscleGroup);
+        addCategory('equipment', ex.equipment);
+      });
+
+      const link = (ex) => ({
+        ...ex,
+        libraryId: ex.libraryId ?? data.exercises.find((e) => e.name === ex.name)?.id ?? null
+      });
+      const programs = data.programs.map((p) => ({
+        ...p,
+        days: p.days.map((day) => ({ ...day, exercises: day.exercises.map(link) }))
+      }));
+
+      return { ...data, programs, categories };
+    }
+  },
+  {
+    version: 6,
+    description: 'Workout feedback: staff comments on completed workouts',
+    up(data) {
+      return { ...data, comments: data.comments || [] };
+    }
+  },
+  {
+    version: 7,
+    description: 'Feedback read markers: move readAt off comments into client-owned records',
+    up(data) {
+      const feedbackReads = [...(data.feedbackReads || [])];
+      const comments = data.comments.map(({ readAt, ...comment }) => {
+        const workout = readAt && data.workouts.find((w) => w.id === comment.workoutId);
+        if (workout) {
+          const id = `${workout.userId}_${workout.id}`;
+          const marker = feedbackReads.find((r) => r.id === id);
+          if (!marker) {
+            feedbackReads.push({ id, userId: workout.userId, workoutId: workout.id, readAt });
+          } else if (new Date(readAt) > new Date(marker.readAt)) {
+            marker.readAt = readAt;
+          }
+        }
+        return comment;
+      });
+
+      return { ...data, comments, feedbackReads };
+    }
+  }
+];
+
+export const SCHEMA_VERSION = migrations.length;
+
+// Run every migration newer than fromVersion, in order
+export function migrate(data, fromVersion) {
+  return migrations
+    .filter((m) => m.version > fromVersion)
+    .reduce((current, m) => m.up(current), data);
+}
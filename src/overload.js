@@ -0,0 +1,76 @@
+// Progressive overload: suggest the next target for a program exercise from
+// what the client actually logged the last time they performed it.
+
+import { isWorkSet, workSetCount } from './sets.js';
+import { trackingOf, isLoggedSet, describeSet } from './tracking.js';
+import { roundToPlates, roundedDisplay, unitLabel } from './units.js';
+import { t } from './i18n.js';
+
+// Default weight step (kg) when the program exercise doesn't set `increment`.
+// Lower-body lifts move in bigger jumps than upper-body ones.
+export const LOWER_BODY_INCREMENT = 2.5;
+export const UPPER_BODY_INCREMENT = 1.25;
+const LOWER_BODY_GROUPS = ['רגליים', 'ישבן'];
+
+// Weight step for a program exercise
+export function incrementFor(exercise) {
+  if (exercise.increment > 0) return exercise.increment;
+  return LOWER_BODY_GROUPS.includes(exercise.muscleGroup) ? LOWER_BODY_INCREMENT : UPPER_BODY_INCREMENT;
+}
+
+// Helper: the logged working sets of a result, skipping sets that were never
+// filled in, warm-ups and drop sets
+const loggedSets = (result) => (result?.completedSets || [])
+  .filter((set) => isLoggedSet(set) && isWorkSet(set.type));
+
+// The most recent result for a program exercise in a user's workouts, or null
+export function findLastResult(workouts, userId, exerciseId) {
+  const history = workouts
+    .filter((w) => w.userId === userId)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  for (const workout of history) {
+    const result = workout.exercises.find((ex) => ex.exerciseId === exerciseId);
+    if (loggedSets(result).length > 0) return result;
+  }
+  return null;
+}
+
+// Suggest { reps, weight, progressed } for the next session.
+// - No history: the program's prescription.
+// - Every working set done with at least the target reps: add the increment
+//   (or one rep for bodyweight exercises), rounded to what the user's
+//   units' plates can load.
+// - Otherwise: repeat the heaviest weight used last time.
+// Time and distance exercises get their prescribed targets.
+export function suggestNext(exercise, lastResult, units = 'metric') {
+  if (trackingOf(exercise) !== 'reps') {
+    return { duration: exercise.duration || 0, distance: exercise.distance || 0, progressed: false };
+  }
+  const sets = loggedSets(lastResult);
+  if (sets.length === 0) {
+    return { reps: exercise.reps, weight: exercise.weight || 0, progressed: false };
+  }
+  const lastWeight = Math.max(...sets.map((set) => set.weight || 0));
+  const hitAllTargets = sets.length >= workSetCount(exercise) && sets.every((set) => set.reps >= exercise.reps);
+  if (!hitAllTargets) {
+    return { reps: exercise.reps, weight: lastWeight, progressed: false };
+  }
+  if (lastWeight === 0) {
+    return { reps: Math.max(...sets.map((set) => set.reps)) + 1, weight: 0, progressed: true };
+  }
+  const weight = roundToPlates(lastWeight + incrementFor(exercise), units);
+  return { reps: exercise.reps, weight: weight > lastWeight ? weight : lastWeight + incrementFor(exercise), progressed: true };
+}
+
+// Short summary of a previous result, e.g. 3×10 @ 40 kg, 10/10/8 @ 40 kg or,
+// for time and distance exercises, each set in turn
+export function describeResult(result, units = 'metric') {
+  const sets = loggedSets(result);
+  if (sets.length === 0) return '';
+  if (!(sets[0].reps > 0)) return sets.map((set) => describeSet(set, units)).join(', ');
+  const weights = [...new Set(sets.map((set) => roundedDisplay(set.weight || 0, units)))];
+  const reps = sets.map((set) => set.reps);
+  const repsText = reps.every((r) => r === reps[0]) ? `${sets.length}×${reps[0]}` : reps.join('/');
+  const weightText = weights.length === 1 ? weights[0] : `${Math.min(...weights)}-${Math.max(...weights)}`;
+  return weightText > 0 || weights.length > 1 ? `${repsText} @ ${weightText} ${unitLabel(units)}` : `${repsText} (${t('overload.bodyweight')})`;
+}
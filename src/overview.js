@@ -0,0 +1,69 @@
+// Staff overview of their clients: where each one stands this week and who
+// has gone quiet. Weeks are calendar weeks starting on Sunday, like the
+// training calendar.
+
+import { toDateKey } from './utils.js';
+import { plannedFor } from './schedule.js';
+import { DEFAULT_WEEKLY_WORKOUT_GOAL } from './progress.js';
+
+// Days without a workout before a client is flagged (staff setting
+// inactiveAlertDays overrides it)
+export const DEFAULT_INACTIVE_ALERT_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Date keys of the calendar week (Sunday first) containing now
+export function weekDateKeys(now = new Date()) {
+  const sunday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
+  return Array.from({ length: 7 }, (_, i) => (
+    toDateKey(new Date(sunday.getFullYear(), sunday.getMonth(), sunday.getDate() + i))
+  ));
+}
+
+// Sessions planned for a client this week: the scheduled ones, or their
+// weekly workout goal when nothing is scheduled
+export function plannedThisWeek(client, now = new Date()) {
+  const schedule = client.schedule || [];
+  if (schedule.length === 0) return client.weeklyWorkoutGoal || DEFAULT_WEEKLY_WORKOUT_GOAL;
+  return weekDateKeys(now).reduce((sum, dateKey) => sum + plannedFor(schedule, dateKey).length, 0);
+}
+
+// Change between a client's last two measurements of a metric, or null
+export function latestMetricChange(metrics = [], key = 'weight') {
+  const measured = metrics.filter((m) => m[key] > 0);
+  if (measured.length < 2) return null;
+  const last = measured[measured.length - 1];
+  return { change: last[key] - measured[measured.length - 2][key], date: last.date };
+}
+
+// One client's row in the overview:
+//   { client, program, lastWorkout, daysInactive, done, planned, metricChange, inactive }
+// daysInactive is null for a client who never completed a workout; they
+// count as inactive.
+export function clientOverview(client, workouts, programs, alertDays = DEFAULT_INACTIVE_ALERT_DAYS, now = new Date()) {
+  const clientWorkouts = workouts
+    .filter((w) => w.userId === client.id)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const lastWorkout = clientWorkouts[clientWorkouts.length - 1] || null;
+  const daysInactive = lastWorkout ? Math.floor((now - new Date(lastWorkout.date)) / DAY) : null;
+  const week = new Set(weekDateKeys(now));
+  return {
+    client,
+    program: programs.find((p) => p.id === client.assignedProgramId) || null,
+    lastWorkout,
+    daysInactive,
+    done: clientWorkouts.filter((w) => week.has(toDateKey(w.date))).length,
+    planned: plannedThisWeek(client, now),
+    metricChange: latestMetricChange(client.metrics),
+    inactive: daysInactive === null || daysInactive >= alertDays
+  };
+}
+
+// Overview rows for a set of clients, inactive clients first and then by
+// name
+export function clientsOverview(clients, workouts, programs, alertDays, now = new Date()) {
+  const name = (row) => row.client.fullName || row.client.username;
+  return clients
+    .map((client) => clientOverview(client, workouts, programs, alertDays, now))
+    .sort((a, b) => (b.inactive - a.inactive) || name(a).localeCompare(name(b)));
+}
@@ -0,0 +1,82 @@
+// Role-based access rules.
+//
+// Roles:
+//   owner   - runs the studio; approves trainers, sees and manages everything
+//   trainer - once approved, manages their own clients and the programs they
+//             created or that are assigned to their clients
+//   client  - linked to one trainer through trainerId; sees only their own data
+//
+// The data handlers in App call these checks themselves, so hiding a control
+// in the UI is never the only thing standing in the way.
+
+import { t } from './i18n.js';
+
+// Error raised by a data handler when the acting user isn't allowed
+export class PermissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermissionError';
+  }
+}
+
+// Throw a PermissionError unless allowed
+export function assertAllowed(allowed, message = t('permissions.denied')) {
+  if (!allowed) throw new PermissionError(message);
+}
+
+export const isOwner = (user) => user?.role === 'owner';
+
+// Owners and approved trainers get the staff views
+export const isStaff = (user) => isOwner(user) || (user?.role === 'trainer' && user.approved === true);
+
+// Whether actor may see and manage a client's programs, workouts and metrics
+export function canManageClient(actor, client) {
+  if (!client || client.role !== 'client') return false;
+  if (isOwner(actor)) return true;
+  return isStaff(actor) && client.trainerId === actor.id;
+}
+
+// Whether actor may read a user's data (their own, or a client they manage)
+export function canViewUser(actor, user) {
+  return Boolean(user) && (actor.id === user.id || canManageClient(actor, user));
+}
+
+// Clients visible to the acting staff member
+export function visibleClients(actor, users) {
+  return users.filter((u) => canManageClient(actor, u));
+}
+
+// Whether actor may change a program's content
+export function canEditProgram(actor, program) {
+  if (!program) return false;
+  if (isOwner(actor)) return true;
+  return isStaff(actor) && program.ownerId === actor.id;
+}
+
+// Helper: ids of the programs a client is assigned or scheduled to do
+const clientProgramIds = (client) => [
+  client.assignedProgramId,
+  ...(client.schedule || []).map((entry) => entry.programId)
+];
+
+// Programs the actor can see: owners everything, trainers the programs they
+// own plus those given to their clients, clients their assigned and
+// scheduled programs
+export function visiblePrograms(actor, programs, users) {
+  if (isOwner(actor)) return programs;
+  if (isStaff(actor)) {
+    const clientPrograms = new Set(visibleClients(actor, users).flatMap(clientProgramIds));
+    return programs.filter((p) => p.ownerId === actor.id || clientPrograms.has(p.id));
+  }
+  const mine = new Set(clientProgramIds(actor));
+  return programs.filter((p) => mine.has(p.id));
+}
+
+// Whether actor may assign a program to a client
+export function canAssignProgram(actor, client, program) {
+  if (!canManageClient(actor, client) || !program) return false;
+  return isOwner(actor) || program.ownerId === actor.id;
+}
+
+// The exercise library is maintained by staff
+export const canManageLibrary = (actor) => isStaff(actor);
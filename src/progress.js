@@ -0,0 +1,107 @@
+// Body-metric progress: time ranges, linear trend and goal projection.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Selectable chart ranges; days is null for all history. Labels here and
+// in METRIC_FIELDS are message keys.
+export const RANGES = [
+  { key: '1m', label: 'metrics.range1m', days: 30 },
+  { key: '3m', label: 'metrics.range3m', days: 91 },
+  { key: '1y', label: 'metrics.range1y', days: 365 },
+  { key: 'all', label: 'metrics.rangeAll', days: null }
+];
+
+// Tracked body metrics and their goal keys in user.goals; kind is the
+// units.js kind of value the field is stored as
+export const METRIC_FIELDS = [
+  { key: 'weight', label: 'metrics.weight', kind: 'weight' },
+  { key: 'bodyFat', label: 'metrics.bodyFat', kind: 'percent' },
+  { key: 'chest', label: 'metrics.chest', kind: 'length' },
+  { key: 'waist', label: 'metrics.waist', kind: 'length' }
+];
+
+// Points { t (ms), value } for one metric within a range, oldest first.
+// Zero means the field was left empty when the measurement was saved.
+export function metricSeries(metrics, key, rangeKey = 'all', now = Date.now()) {
+  const range = RANGES.find((r) => r.key === rangeKey);
+  const from = range?.days ? now - range.days * DAY : -Infinity;
+  return metrics
+    .map((m) => ({ t: new Date(m.date).getTime(), value: m[key] }))
+    .filter((p) => !Number.isNaN(p.t) && p.t >= from && p.value > 0)
+    .sort((a, b) => a.t - b.t);
+}
+
+// Least-squares line through the points. Returns { slopePerDay, intercept }
+// (value at time t = intercept + slopePerDay * days since the first point),
+// or null with fewer than two points on different days.
+export function linearTrend(points) {
+  if (points.length < 2) return null;
+  const t0 = points[0].t;
+  const xs = points.map((p) => (p.t - t0) / DAY);
+  const ys = points.map((p) => p.value);
+  const n = points.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (xs[i] - meanX) * (ys[i] - meanY);
+    den += (xs[i] - meanX) ** 2;
+  }
+  if (den === 0) return null;
+  const slopePerDay = num / den;
+  return { slopePerDay, intercept: meanY - slopePerDay * meanX, t0 };
+}
+
+// When the trend line reaches the goal: a Date, or null if the trend is flat
+// or moving away from it. Already-reached goals return the last point's date.
+export function projectGoalDate(points, goal) {
+  if (!goal || points.length === 0) return null;
+  const last = points[points.length - 1];
+  const remaining = goal - last.value;
+  if (remaining === 0) return new Date(last.t);
+  const trend = linearTrend(points);
+  if (!trend || trend.slopePerDay === 0 || Math.sign(trend.slopePerDay) !== Math.sign(remaining)) {
+    return null;
+  }
+  return new Date(last.t + (remaining / trend.slopePerDay) * DAY);
+}
+
+// Whether the trend is heading toward the goal (true), away (false) or unknown (null)
+export function trendTowardGoal(points, goal) {
+  const trend = linearTrend(points);
+  if (!goal || !trend || trend.slopePerDay === 0 || points.length === 0) return null;
+  const remaining = goal - points[points.length - 1].value;
+  if (remaining === 0) return true;
+  return Math.sign(trend.slopePerDay) === Math.sign(remaining);
+}
+
+// Progress from the first measurement toward the goal, as a percentage
+// clamped to 0–100. Null without a goal or measurements.
+export function goalProgress(points, goal) {
+  if (!goal || points.length === 0) return null;
+  const start = points[0].value;
+  const current = points[points.length - 1].value;
+  const total = start - goal;
+  const percent = total === 0 ? 100 : ((start - current) / total) * 100;
+  return { start, current, goal, percent: Math.max(0, Math.min(100, Math.round(percent))) };
+}
+
+export const DEFAULT_WEEKLY_WORKOUT_GOAL = 3;
+
+// Workout counts for the last `weeks` rolling 7-day windows (most recent
+// first) and the average adherence to a weekly goal, capped at 100% per week
+export function weeklyAdherence(workouts, userId, goal, weeks = 4, now = Date.now()) {
+  const counts = Array.from({ length: weeks }, (_, i) => {
+    const to = now - i * 7 * DAY;
+    const from = to - 7 * DAY;
+    return workouts.filter((w) => {
+      const t = new Date(w.date).getTime();
+      return w.userId === userId && t > from && t <= to;
+    }).length;
+  });
+  const percent = goal > 0
+    ? Math.round((counts.reduce((sum, c) => sum + Math.min(c, goal) / goal, 0) / weeks) * 100)
+    : null;
+  return { thisWeek: counts[0], counts, percent };
+}
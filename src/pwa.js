@@ -0,0 +1,36 @@
+// Installable app support: registers the service worker in production builds
+// and reports when a newly deployed build is ready to take over.
+
+// onUpdate(apply) is called when a new build has installed and is waiting;
+// apply() switches to it and reloads the page.
+export function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      const notify = (worker) => onUpdate(() => {
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+        worker.postMessage({ type: 'SKIP_WAITING' });
+      });
+      // Without a controller this is the first install, not an update
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        notify(registration.waiting);
+      }
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            notify(worker);
+          }
+        });
+      });
+      // An installed app can stay open for days; look for a new build
+      // whenever it comes back to the foreground
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+          registration.update().catch(() => {});
+        }
+      });
+    })
+    .catch((err) => console.error('Service worker registration failed', err));
+}
@@ -0,0 +1,90 @@
+// Personal records per library exercise: heaviest weight, best single-set
+// volume (reps × weight) and best estimated one-rep max. Only working sets
+// count; warm-ups and drop sets never set a record.
+
+import { isWorkSet } from './sets.js';
+
+export const ONE_REP_MAX_FORMULAS = {
+  epley: 'Epley',
+  brzycki: 'Brzycki'
+};
+
+// Estimated 1RM for a set. Brzycki is undefined from 37 reps up, so those
+// sets fall back to Epley.
+export function estimateOneRepMax(weight, reps, formula = 'epley') {
+  if (!weight || !reps) return 0;
+  if (reps === 1) return weight;
+  if (formula === 'brzycki' && reps < 37) return (weight * 36) / (37 - reps);
+  return weight * (1 + reps / 30);
+}
+
+// Library exercise id for a logged exercise result. Results linked to the
+// library carry libraryId; older ones are matched by name.
+export function resolveLibraryId(result, exercises) {
+  if (result.libraryId) return result.libraryId;
+  return exercises.find((ex) => ex.name === result.name)?.id || null;
+}
+
+// Helper: fold one set into a record entry, keeping the best of each kind
+function applySet(record, set, date, formula) {
+  const weight = set.weight || 0;
+  const volume = weight * set.reps;
+  const e1rm = estimateOneRepMax(weight, set.reps, formula);
+  const next = { ...record };
+  if (!record.heaviest || weight > record.heaviest.weight) {
+    next.heaviest = { weight, reps: set.reps, date };
+  }
+  if (!record.bestVolume || volume > record.bestVolume.volume) {
+    next.bestVolume = { volume, weight, reps: set.reps, date };
+  }
+  if (!record.bestOneRepMax || e1rm > record.bestOneRepMax.value) {
+    next.bestOneRepMax = { value: e1rm, weight, reps: set.reps, date };
+  }
+  return next;
+}
+
+// Helper: fold every logged working set of a workout into the records object
+function applyWorkout(records, workout, exercises, formula) {
+  const next = { ...records };
+  workout.exercises.forEach((result) => {
+    const libraryId = resolveLibraryId(result, exercises);
+    if (!libraryId) return;
+    (result.completedSets || []).forEach((set) => {
+      if (!set || !(set.reps > 0) || !isWorkSet(set.type)) return;
+      next[libraryId] = applySet(next[libraryId] || {}, set, workout.date, formula);
+    });
+  });
+  return next;
+}
+
+// Records for one user, keyed by library exercise id
+export function computeRecords(workouts, userId, exercises, formula = 'epley') {
+  return workouts
+    .filter((w) => w.userId === userId)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .reduce((records, workout) => applyWorkout(records, workout, exercises, formula), {});
+}
+
+// Records a workout would set, compared with the existing records.
+// Returns [{ libraryId, name, type, value }] where type is one of
+// 'heaviest', 'bestVolume', 'bestOneRepMax'. First-ever sets don't count.
+export function detectNewRecords(records, workout, exercises, formula = 'epley') {
+  const updated = applyWorkout(records, workout, exercises, formula);
+  const found = [];
+  Object.keys(updated).forEach((libraryId) => {
+    const before = records[libraryId];
+    const after = updated[libraryId];
+    if (!before) return;
+    const name = exercises.find((ex) => ex.id === libraryId)?.name || '';
+    if (after.heaviest.weight > before.heaviest.weight) {
+      found.push({ libraryId, name, type: 'heaviest', value: after.heaviest.weight });
+    }
+    if (after.bestVolume.volume > before.bestVolume.volume) {
+      found.push({ libraryId, name, type: 'bestVolume', value: after.bestVolume.volume });
+    }
+    if (after.bestOneRepMax.value > before.bestOneRepMax.value) {
+      found.push({ libraryId, name, type: 'bestOneRepMax', value: after.bestOneRepMax.value });
+    }
+  });
+  return found;
+}
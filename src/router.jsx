@@ -0,0 +1,65 @@
+// Minimal hash-based router. Routes live after the '#', so the static Vite
+// build works from any host without server-side rewrites, and the browser
+// back button and bookmarks work as usual.
+
+import React, { useState, useEffect } from 'react';
+
+// Split the current hash into a path and query parameters
+export function parseHash(hash = window.location.hash) {
+  const raw = hash.replace(/^#/, '') || '/';
+  const [path, search = ''] = raw.split('?');
+  return { path: path || '/', query: Object.fromEntries(new URLSearchParams(search)) };
+}
+
+// Go to a path. With replace, the current history entry is overwritten
+// (used for redirects, so back doesn't bounce straight into them again).
+export function navigate(path, { replace = false } = {}) {
+  if (replace) {
+    window.history.replaceState(null, '', `#${path}`);
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  } else {
+    window.location.hash = path;
+  }
+}
+
+// Match a path against a pattern such as '/programs/:id'.
+// Returns the decoded params, or null when it doesn't match.
+export function matchPath(pattern, path) {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = path.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+// Find the first route whose pattern matches; returns { route, params } or null
+export function findRoute(routes, path) {
+  for (const route of routes) {
+    const params = matchPath(route.path, path);
+    if (params) return { route, params };
+  }
+  return null;
+}
+
+// Hook: the current { path, query }, updated on navigation
+export function useRoute() {
+  const [route, setRoute] = useState(() => parseHash());
+  useEffect(() => {
+    const onChange = () => setRoute(parseHash());
+    window.addEventListener('hashchange', onChange);
+    return () => window.removeEventListener('hashchange', onChange);
+  }, []);
+  return route;
+}
+
+// Anchor pointing at an app route
+export function Link({ to, children, ...props }) {
+  return <a href={`#${to}`} {...props}>{children}</a>;
+}
@@ -0,0 +1,63 @@
+// Training schedules. A client's user record holds schedule: an array of
+//   { id, programId, weekdays: [0-6], startDate }  - repeats weekly (0 = Sunday)
+//   { id, programId, date }                        - one specific day
+// Days are local YYYY-MM-DD keys. Planned sessions are matched against the
+// client's completed workouts for the calendar view.
+
+import { toDateKey } from './utils.js';
+
+// Message keys of the weekday names, Sunday first
+export const WEEKDAY_NAMES = [
+  'weekday.sunday',
+  'weekday.monday',
+  'weekday.tuesday',
+  'weekday.wednesday',
+  'weekday.thursday',
+  'weekday.friday',
+  'weekday.saturday'
+];
+
+// Helper: weekday (0-6) of a date key, independent of timezone
+const weekdayOf = (dateKey) => new Date(`${dateKey}T12:00:00`).getDay();
+
+// Schedule entries planned for a day
+export function plannedFor(schedule = [], dateKey) {
+  return schedule.filter((entry) => {
+    if (entry.date) return entry.date === dateKey;
+    return entry.weekdays.includes(weekdayOf(dateKey)) && (!entry.startDate || dateKey >= entry.startDate);
+  });
+}
+
+// Planned vs. completed for one day:
+//   planned - [{ entry, status: 'done' | 'missed' | 'today' | 'upcoming', workout }]
+//   extra   - workouts that day that didn't match a planned session
+export function calendarDay(schedule, workouts, dateKey, todayKey = toDateKey()) {
+  const dayWorkouts = workouts.filter((w) => toDateKey(w.date) === dateKey);
+  const unmatched = [...dayWorkouts];
+  const planned = plannedFor(schedule, dateKey).map((entry) => {
+    const index = unmatched.findIndex((w) => w.programId === entry.programId);
+    const workout = index >= 0 ? unmatched.splice(index, 1)[0] : null;
+    let status = 'upcoming';
+    if (workout) status = 'done';
+    else if (dateKey < todayKey) status = 'missed';
+    else if (dateKey === todayKey) status = 'today';
+    return { entry, status, workout };
+  });
+  return { dateKey, planned, extra: unmatched };
+}
+
+// Weeks (Sunday first) covering a month; days outside the month are null
+export function monthGrid(year, month) {
+  const first = new Date(year, month, 1);
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const cells = Array.from({ length: first.getDay() }, () => null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(toDateKey(new Date(year, month, day)));
+  }
+  while (cells.length % 7 !== 0) cells.push(null);
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+}
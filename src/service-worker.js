@@ -0,0 +1,41 @@
+// Service worker: precaches the built app so it opens in the gym with no
+// signal, and serves it from the cache. The build fills in the file list and
+// cache version (see the service worker plugin in vite.config.js).
+//
+// A new build installs next to the running one and waits until the app tells
+// it to take over, once the user agrees to update (see pwa.js).
+
+const PRECACHE = self.__PRECACHE__;
+const CACHE_PREFIX = 'studio-ym-';
+const CACHE = CACHE_PREFIX + self.__VERSION__;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+// Drop the caches of earlier builds and serve pages that are already open
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Page loads get the cached app shell (routing is hash based, so every page
+// is index.html) and the app's own files come from the cache. Anything else,
+// like the sync server, goes to the network untouched.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  const cached = request.mode === 'navigate' ? caches.match('index.html') : caches.match(request);
+  event.respondWith(cached.then((response) => response || fetch(request)));
+});
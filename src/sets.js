@@ -0,0 +1,139 @@
+// Set types and exercise groups within a workout day.
+//
+// A program exercise may carry
+//   setTypes: ['warmup', 'normal', ...] - type of each set by index (missing = normal)
+//   groupId                             - consecutive exercises sharing one form a
+//                                         superset (two) or circuit (more)
+// and a day keeps groups: [{ id, rest }] with the rest taken after each round.
+// Logged sets record their type in completedSets.
+
+import { generateId } from './utils.js';
+import { t } from './i18n.js';
+
+// Message keys of the set type names
+export const SET_TYPES = {
+  normal: 'sets.normal',
+  warmup: 'sets.warmup',
+  drop: 'sets.drop',
+  amrap: 'sets.amrap'
+};
+
+export const DEFAULT_GROUP_REST = 90;
+
+export const setTypeAt = (exercise, setIndex) => exercise.setTypes?.[setIndex] || 'normal';
+
+// Warm-ups and drop sets don't count toward an exercise's working sets
+export const isWorkSet = (type = 'normal') => type === 'normal' || type === 'amrap';
+
+export function workSetCount(exercise) {
+  return Array.from({ length: exercise.sets }, (_, i) => setTypeAt(exercise, i)).filter(isWorkSet).length;
+}
+
+export const groupLabel = (size) => t(size === 2 ? 'sets.superset' : 'sets.circuit');
+
+// Split a day's exercises into blocks of { group, items: [{ exercise, index }] };
+// group is null for a straight-set exercise
+export function groupBlocks(exercises, groups = []) {
+  const blocks = [];
+  exercises.forEach((exercise, index) => {
+    const last = blocks[blocks.length - 1];
+    if (exercise.groupId && last?.group?.id === exercise.groupId) {
+      last.items.push({ exercise, index });
+      return;
+    }
+    const group = exercise.groupId
+      ? groups.find((g) => g.id === exercise.groupId) || { id: exercise.groupId, rest: DEFAULT_GROUP_REST }
+      : null;
+    blocks.push({ group, items: [{ exercise, index }] });
+  });
+  return blocks;
+}
+
+// Order a block's sets are done in: straight sets one after another,
+// grouped exercises round by round. Returns [{ index, setIndex }].
+export function blockSteps(block) {
+  const rounds = Math.max(...block.items.map(({ exercise }) => exercise.sets));
+  const steps = [];
+  if (!block.group) {
+    for (let setIndex = 0; setIndex < rounds; setIndex++) {
+      steps.push({ index: block.items[0].index, setIndex });
+    }
+    return steps;
+  }
+  for (let setIndex = 0; setIndex < rounds; setIndex++) {
+    block.items
+      .filter(({ exercise }) => exercise.sets > setIndex)
+      .forEach(({ index }) => steps.push({ index, setIndex }));
+  }
+  return steps;
+}
+
+// Seconds of rest after logging a set. Within a group there's no rest until
+// the round's last exercise, then the group's shared rest; a drop set follows
+// its set straight away.
+export function restAfterSet(exercises, groups = [], index, setIndex) {
+  const exercise = exercises[index];
+  if (exercise.groupId) {
+    const laterInRound = exercises.some((ex, i) => i > index && ex.groupId === exercise.groupId && ex.sets > setIndex);
+    if (laterInRound) return 0;
+    return groups.find((g) => g.id === exercise.groupId)?.rest ?? DEFAULT_GROUP_REST;
+  }
+  return setTypeAt(exercise, setIndex + 1) === 'drop' ? 0 : exercise.rest;
+}
+
+// Tidy a day's groups after exercises are linked, moved or removed: a group
+// split into separate runs gets a new id per run, single exercises leave
+// their group, and groups no exercise uses are dropped
+export function normalizeGroups(day) {
+  const groups = day.groups || [];
+  const seen = new Set();
+  const nextGroups = [];
+  const exercises = [...day.exercises];
+  let i = 0;
+  while (i < exercises.length) {
+    const groupId = exercises[i].groupId;
+    let end = i + 1;
+    while (groupId && end < exercises.length && exercises[end].groupId === groupId) end++;
+    if (groupId) {
+      if (end - i < 2) {
+        exercises[i] = { ...exercises[i], groupId: null };
+      } else {
+        const id = seen.has(groupId) ? generateId() : groupId;
+        seen.add(groupId);
+        const rest = groups.find((g) => g.id === groupId)?.rest ?? DEFAULT_GROUP_REST;
+        nextGroups.push({ id, rest });
+        for (let j = i; j < end; j++) {
+          if (exercises[j].groupId !== id) exercises[j] = { ...exercises[j], groupId: id };
+        }
+      }
+    }
+    i = end;
+  }
+  return { ...day, exercises, groups: nextGroups };
+}
+
+// Link the exercise at index with the next one (joining their groups), or
+// unlink them (splitting the group there)
+export function toggleLink(day, index) {
+  const exercises = [...day.exercises];
+  const current = exercises[index];
+  const next = exercises[index + 1];
+  const groups = [...(day.groups || [])];
+  if (current.groupId && current.groupId === next.groupId) {
+    const id = generateId();
+    groups.push({ id, rest: groups.find((g) => g.id === current.groupId)?.rest ?? DEFAULT_GROUP_REST });
+    for (let j = index + 1; j < exercises.length && exercises[j].groupId === current.groupId; j++) {
+      exercises[j] = { ...exercises[j], groupId: id };
+    }
+  } else {
+    const id = current.groupId || next.groupId || generateId();
+    if (!groups.some((g) => g.id === id)) groups.push({ id, rest: DEFAULT_GROUP_REST });
+    const joined = [current.groupId, next.groupId].filter(Boolean);
+    exercises.forEach((ex, j) => {
+      if (j === index || j === index + 1 || joined.includes(ex.groupId)) {
+        exercises[j] = { ...ex, groupId: id };
+      }
+    });
+  }
+  return normalizeGroups({ ...day, exercises, groups });
+}
@@ -0,0 +1,56 @@
+// Multi-day split programs and periodized phases. A program holds
+//   days:   [{ id, name, exercises }]      - workout days done in rotation
+//   phases: [{ id, name, weeks, targets }] - optional blocks run in order;
+//           targets maps a program exercise id to { sets, reps } that
+//           replace the day's values while the phase is current
+// Completed workouts record the dayId and phaseId they were done with.
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// Every exercise in the program, across all days
+export const programExercises = (program) => program.days.flatMap((day) => day.exercises);
+
+// A day by id, falling back to the first day (workouts and drafts from
+// before splits have no dayId)
+export function findDay(program, dayId) {
+  return program.days.find((day) => day.id === dayId) || program.days[0] || null;
+}
+
+// Helper: the user's workouts on a program, oldest first
+const programHistory = (program, workouts, userId) => workouts
+  .filter((w) => w.userId === userId && w.programId === program.id)
+  .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+// The day after the last one the user did in this program's rotation, or
+// the first day if they haven't done any yet
+export function nextDay(program, workouts, userId) {
+  if (program.days.length === 0) return null;
+  const last = programHistory(program, workouts, userId).filter((w) => w.dayId).pop();
+  const index = last ? program.days.findIndex((day) => day.id === last.dayId) : -1;
+  return program.days[(index + 1) % program.days.length];
+}
+
+// The current phase, counted in weeks from the user's first workout on the
+// program: { phase, week } (week within the phase, from 1), or null for
+// programs without phases. After the last phase the block starts over.
+export function currentPhase(program, workouts, userId, now = Date.now()) {
+  const phases = program.phases || [];
+  const totalWeeks = phases.reduce((sum, phase) => sum + phase.weeks, 0);
+  if (totalWeeks === 0) return null;
+  const first = programHistory(program, workouts, userId)[0];
+  const start = first ? new Date(first.date).getTime() : now;
+  let week = Math.floor(Math.max(0, now - start) / WEEK) % totalWeeks;
+  for (const phase of phases) {
+    if (week < phase.weeks) return { phase, week: week + 1 };
+    week -= phase.weeks;
+  }
+  return null;
+}
+
+// A day's exercises with the phase's set/rep targets applied
+export function sessionExercises(day, phase) {
+  return day.exercises.map((ex) => {
+    const target = phase?.targets?.[ex.id] || {};
+    return { ...ex, sets: target.sets || ex.sets, reps: target.reps || ex.reps };
+  });
+}
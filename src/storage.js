@@ -0,0 +1,400 @@
+// Storage layer: adapters for localStorage and IndexedDB behind one interface,
+// plus loading (with schema migrations and default seeding) and saving.
+//
+// An adapter implements:
+//   name
+//   readCollection(collection)           -> array of records
+//   writeChanges(collection, changes)    -> changes = { put, remove, all };
+//                                           without put/remove, all replaces the collection
+//   getMeta(key) / setMeta(key, value)
+//   quarantine(collection)               -> move unreadable data aside (optional)
+
+import { migrate, SCHEMA_VERSION } from './migrations.js';
+import { withNewVersion } from './versions.js';
+
+export const COLLECTIONS = ['users', 'programs', 'workouts', 'exercises', 'categories', 'comments', 'feedbackReads'];
+
+const KEY_PREFIX = 'studio_';
+const VERSION_KEY = 'schema_version';
+const DB_NAME = 'studio_ym';
+const DB_VERSION = 4; // 2: categories store, 3: comments store, 4: feedbackReads store
+const META_STORE = 'meta';
+
+// Error raised when stored data cannot be read or understood
+export class StorageError extends Error {
+  constructor(message, { collection, adapter } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.collection = collection;
+    this.adapter = adapter;
+  }
+}
+
+// localStorage adapter: each collection is one JSON blob under studio_<name>
+export function createLocalStorageAdapter(storage = window.localStorage) {
+  const adapter = {
+    name: 'localStorage',
+
+    async readCollection(collection) {
+      const json = storage.getItem(KEY_PREFIX + collection);
+      if (!json) return [];
+      try {
+        const records = JSON.parse(json);
+        if (!Array.isArray(records)) throw new Error('not an array');
+        return records;
+      } catch (e) {
+        throw new StorageError(`Stored ${collection} data is corrupt`, { collection, adapter });
+      }
+    },
+
+    // localStorage can only rewrite the whole blob
+    async writeChanges(collection, { all }) {
+      storage.setItem(KEY_PREFIX + collection, JSON.stringify(all));
+    },
+
+    async getMeta(key) {
+      const value = storage.getItem(KEY_PREFIX + key);
+      return value === null ? undefined : JSON.parse(value);
+    },
+
+    async setMeta(key, value) {
+      storage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+    },
+
+    async quarantine(collection) {
+      const key = KEY_PREFIX + collection;
+      const raw = storage.getItem(key);
+      if (raw !== null) {
+        storage.setItem(`${key}_corrupt_${Date.now()}`, raw);
+        storage.removeItem(key);
+      }
+    },
+
+    // True when data from the pre-IndexedDB versions of the app is present
+    hasData() {
+      return COLLECTIONS.some((c) => storage.getItem(KEY_PREFIX + c) !== null);
+    }
+  };
+  return adapter;
+}
+
+// Helper: wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Helper: open (and create or upgrade) the studio database
+function openDatabase(indexedDB) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      COLLECTIONS.forEach((collection) => {
+        if (!db.objectStoreNames.contains(collection)) {
+          db.createObjectStore(collection, { keyPath: 'id' });
+        }
+      });
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // A newer build is upgrading the database in another tab: let it, and
+      // reload into that build instead of writing through a closed connection
+      db.onversionchange = () => {
+        db.close();
+        if (typeof window !== 'undefined') window.location.reload();
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    // A tab from an older build that doesn't close on versionchange holds it up
+    request.onblocked = () => reject(new StorageError(
+      'Database upgrade blocked by another open tab of the app. Close the other tabs and reload.'
+    ));
+  });
+}
+
+// IndexedDB adapter: one object store per collection, records keyed by id,
+// so saving only touches the records that changed
+export async function createIndexedDBAdapter(indexedDB = window.indexedDB) {
+  const db = await openDatabase(indexedDB);
+
+  const adapter = {
+    name: 'indexedDB',
+
+    async readCollection(collection) {
+      const tx = db.transaction(collection, 'readonly');
+      return requestToPromise(tx.objectStore(collection).getAll());
+    },
+
+    async writeChanges(collection, { put, remove, all }) {
+      const tx = db.transaction(collection, 'readwrite');
+      const store = tx.objectStore(collection);
+      if (!put) {
+        store.clear();
+        all.forEach((record) => store.put(record));
+      } else {
+        put.forEach((record) => store.put(record));
+        remove.forEach((id) => store.delete(id));
+      }
+      return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    },
+
+    async getMeta(key) {
+      const tx = db.transaction(META_STORE, 'readonly');
+      return requestToPromise(tx.objectStore(META_STORE).get(key));
+    },
+
+    async setMeta(key, value) {
+      const tx = db.transaction(META_STORE, 'readwrite');
+      return requestToPromise(tx.objectStore(META_STORE).put(value, key));
+    }
+  };
+  return adapter;
+}
+
+// Pick the best available adapter: IndexedDB when the browser supports it,
+// localStorage otherwise (or if opening the database fails). A blocked
+// upgrade is not a failure: the data is in IndexedDB, so falling back would
+// run the app on stale or empty localStorage.
+async function pickAdapter() {
+  if (typeof window !== 'undefined' && window.indexedDB) {
+    try {
+      return await createIndexedDBAdapter();
+    } catch (e) {
+      if (e instanceof StorageError) throw e;
+      console.warn('IndexedDB unavailable, falling back to localStorage', e);
+    }
+  }
+  return createLocalStorageAdapter();
+}
+
+// Default data for a fresh install. Seed records use fixed ids so fresh
+// devices syncing with the same server don't create duplicates.
+function seedDefaults(data) {
+  const seeded = { ...data };
+  if (seeded.users.length === 0) {
+    // default admin and client
+    seeded.users = [
+      {
+        id: 'seed_user_admin',
+        username: 'admin',
+        password: 'admin', // default plain text, hashed on first login
+        role: 'owner',
+        approved: true,
+        fullName: 'מנהל סטודיו',
+        email: '',
+        phone: '',
+        goals: {},
+        waterGoal: 2,
+        waterLog: {},
+        assignedProgramId: null,
+        completedWorkouts: [],
+        metrics: []
+      },
+      {
+        id: 'seed_user_demo',
+        username: 'demo',
+        password: 'demo',
+        role: 'client',
+        approved: true,
+        trainerId: 'seed_user_admin',
+        fullName: 'מתאמן דמו',
+        email: '',
+        phone: '',
+        goals: {},
+        waterGoal: 2,
+        waterLog: {},
+        assignedProgramId: null,
+        completedWorkouts: [],
+        metrics: []
+      }
+    ];
+  }
+  if (seeded.programs.length === 0) {
+    // add a basic program
+    seeded.programs = [
+      withNewVersion({}, {
+        id: 'seed_program_basic',
+        ownerId: 'seed_user_admin',
+        name: 'תוכנית בסיסית',
+        description: 'תוכנית כללית לשיפור הכושר',
+        difficulty: 'בינוני',
+        duration: '45 דקות',
+        targetMuscles: ['רגליים', 'חזה', 'גב'],
+        phases: [],
+        days: [
+          {
+            id: 'seed_program_basic_day_a',
+            name: 'אימון A',
+            exercises: [
+              {
+                id: 'seed_program_basic_squat',
+                libraryId: 'seed_exercise_squat',
+                name: 'סקוואט',
+                sets: 3,
+                reps: 12,
+                weight: 0,
+                rest: 60,
+                notes: 'שמור על גב ישר',
+                muscleGroup: 'רגליים',
+                video: '',
+                completed: false
+              },
+              {
+                id: 'seed_program_basic_bench',
+                libraryId: 'seed_exercise_bench',
+                name: 'לחיצת חזה',
+                sets: 3,
+                reps: 10,
+                weight: 0,
+                rest: 60,
+                notes: 'נשימה נכונה',
+                muscleGroup: 'חזה',
+                video: '',
+                completed: false
+              }
+            ]
+          }
+        ]
+      }, 'seed_user_admin')
+    ];
+  }
+  if (seeded.exercises.length === 0) {
+    // Default exercise library
+    seeded.exercises = [
+      { id: 'seed_exercise_squat', name: 'סקוואט', muscleGroup: 'רגליים', equipment: 'משקל גוף' },
+      { id: 'seed_exercise_bench', name: 'לחיצת חזה', muscleGroup: 'חזה', equipment: 'משקולות' },
+      { id: 'seed_exercise_pulldown', name: 'משיכת גב', muscleGroup: 'גב', equipment: 'כבל' },
+      { id: 'seed_exercise_shoulder_press', name: 'לחיצת כתפיים', muscleGroup: 'כתפיים', equipment: 'משקולות' },
+      { id: 'seed_exercise_crunch', name: 'סיבובי בטן', muscleGroup: 'בטן', equipment: 'משקל גוף' },
+      { id: 'seed_exercise_deadlift', name: 'דדליפט', muscleGroup: 'רגליים', equipment: 'משקולות' }
+    ];
+  }
+  return seeded;
+}
+
+// Helper: read every collection from an adapter
+async function readAll(adapter) {
+  const data = {};
+  for (const collection of COLLECTIONS) {
+    data[collection] = await adapter.readCollection(collection);
+  }
+  return data;
+}
+
+// Open storage, import legacy localStorage data, migrate it to the current
+// schema and seed defaults. Resolves to { storage, data, upgraded }, where
+// upgraded tells whether stored data was migrated on this run.
+// Rejects with a StorageError when stored data is corrupt or too new; nothing
+// is overwritten in that case.
+export async function openStorage() {
+  const adapter = await pickAdapter();
+  let version = await adapter.getMeta(VERSION_KEY);
+  let data;
+  let imported = false;
+
+  if (version === undefined && adapter.name === 'indexedDB') {
+    // First run on IndexedDB: bring over whatever older builds left in localStorage
+    const legacy = createLocalStorageAdapter();
+    if (legacy.hasData()) {
+      data = await readAll(legacy);
+      version = (await legacy.getMeta(VERSION_KEY)) ?? 0;
+      imported = true;
+    }
+  }
+  if (!data) {
+    data = await readAll(adapter);
+    version = version ?? 0;
+  }
+
+  if (version > SCHEMA_VERSION) {
+    throw new StorageError(
+      `Stored data uses schema version ${version}, newer than this app (${SCHEMA_VERSION})`,
+      { adapter }
+    );
+  }
+
+  const migrated = seedDefaults(migrate(data, version));
+  const storage = createStorage(adapter);
+  for (const collection of COLLECTIONS) {
+    if (imported || version < SCHEMA_VERSION) {
+      await storage.replace(collection, migrated[collection]);
+    } else {
+      // Up to date: only newly seeded defaults need writing
+      storage.track(collection, data[collection]);
+      await storage.save(collection, migrated[collection]);
+    }
+  }
+  await adapter.setMeta(VERSION_KEY, SCHEMA_VERSION);
+  return { storage, data: migrated, upgraded: imported || version < SCHEMA_VERSION };
+}
+
+// Wrap an adapter with change tracking. React state updates keep unchanged
+// records as the same objects, so comparing by identity finds what to write.
+export function createStorage(adapter) {
+  const snapshots = {};
+  const listeners = new Set();
+
+  const remember = (collection, records) => {
+    snapshots[collection] = new Map(records.map((r) => [r.id, r]));
+  };
+
+  return {
+    adapter,
+
+    // Listen for saved changes: listener(collection, { put, remove })
+    subscribe(listener) {
+      listeners.add(listener);
+    },
+
+    unsubscribe(listener) {
+      listeners.delete(listener);
+    },
+
+    // Record what the adapter already holds without writing anything
+    track(collection, records) {
+      remember(collection, records);
+    },
+
+    // The records last loaded or saved for a collection
+    records(collection) {
+      return [...(snapshots[collection]?.values() || [])];
+    },
+
+    // Overwrite a collection completely
+    async replace(collection, records) {
+      remember(collection, records);
+      await adapter.writeChanges(collection, { all: records });
+    },
+
+    // Persist only records that were added, changed or removed since last save
+    async save(collection, records) {
+      const previous = snapshots[collection] || new Map();
+      const put = records.filter((r) => previous.get(r.id) !== r);
+      const ids = new Set(records.map((r) => r.id));
+      const remove = [...previous.keys()].filter((id) => !ids.has(id));
+      if (put.length === 0 && remove.length === 0) return;
+      remember(collection, records);
+      await adapter.writeChanges(collection, { put, remove, all: records });
+      listeners.forEach((listener) => listener(collection, { put, remove }));
+    }
+  };
+}
+
+// Move a corrupt collection aside (keeping a backup where possible) so the
+// app can start again
+export async function recoverFromStorageError(error) {
+  if (error.adapter?.quarantine && error.collection) {
+    await error.adapter.quarantine(error.collection);
+  }
+}
@@ -0,0 +1,338 @@
+// Offline-first replication with the local sync server (server/index.js).
+//
+// Local changes are picked up from the storage layer as they are saved and
+// queued (persisted in storage meta, so they survive reloads while offline).
+// When online, the queue is pushed record by record, then every collection is
+// pulled from the server's revision cursor and applied locally. The server
+// resolves conflicts per record by last-writer-wins on `updatedAt`.
+//
+// Reads and writes are made with the token from signing in to the server
+// (signIn); until then pushing waits and only the account directory is
+// pulled. Queued changes remember who made them (setAuthor) and wait until
+// that user signs in; one account's refusal never touches another's change. Directory entries (`partial`) are never written back. Signing in
+// pulls everything again, since each account sees different records. A
+// change the server refuses is dropped and the server's copy taken instead.
+// The server never sends passwords, so the ones this device has are kept on
+// pulled user records, unless the password has been changed since
+// (`passwordVersion`).
+//
+// Pushed records carry the app's `schemaVersion`. Records an older app version
+// wrote are migrated when they arrive and pushed back upgraded; records from a
+// newer app version stop the sync until this device updates.
+//
+// Exercise media files are uploaded after the records (see media.js).
+
+import { COLLECTIONS } from './storage.js';
+import { migrate, SCHEMA_VERSION } from './migrations.js';
+import { pendingMedia, clearPendingMedia } from './media.js';
+
+const QUEUE_KEY = 'sync_queue';
+const CURSOR_KEY = 'sync_cursor';
+const TOKEN_KEY = 'sync_token';
+const SYNC_INTERVAL = 30000;
+const PUSH_DELAY = 1000;
+
+// Sync server base URL, e.g. VITE_SYNC_URL=http://192.168.1.10:4000 in .env.
+// Sync is disabled when unset.
+export const SYNC_URL = import.meta.env.VITE_SYNC_URL || '';
+
+// Create a sync engine.
+//   storage      - the object returned by openStorage()
+//   url          - sync server base URL
+//   applyRemote  - (collection, records) => void; records with `deleted` are removals
+//   onStatus     - ({ state, pending, lastSync, error }) => void
+// start(localData, upgraded): upgraded says whether openStorage just migrated
+// the local data, in which case every record is offered to the server again.
+export function createSyncEngine({ storage, url, applyRemote, onStatus }) {
+  const { adapter } = storage;
+  let queue = {};
+  let cursor = null;
+  let token = null;
+  // The user the token belongs to, and the app user changes are made by
+  let signedInAs = null;
+  let author = null;
+  let running = false;
+  let timer = null;
+  let pushTimer = null;
+  let lastSync = null;
+  // Records and ids we applied from the server; their save must not be echoed back
+  const remoteRecords = new WeakSet();
+  const remoteRemovals = new Set();
+
+  const report = (state, error) => {
+    onStatus?.({ state, pending: Object.keys(queue).length, lastSync, error });
+  };
+
+  const markRemote = (collection, record) => {
+    if (record.deleted) {
+      remoteRemovals.add(`${collection}:${record.id}`);
+    } else {
+      remoteRecords.add(record);
+    }
+  };
+
+  const persistQueue = () => adapter.setMeta(QUEUE_KEY, queue);
+
+  // Queue one change; later changes to the same record replace earlier ones.
+  // Changes the app didn't make on someone's behalf (initial uploads,
+  // migrations) have no author.
+  const enqueue = (collection, id, record, updatedAt, by = null) => {
+    queue[`${collection}:${id}`] = { collection, id, record, updatedAt, author: by };
+  };
+
+  // Storage listener: every locally saved change becomes a queued change
+  const onLocalChange = (collection, { put, remove }) => {
+    const now = Date.now();
+    put.forEach((record) => {
+      if (remoteRecords.has(record) || record.partial) return;
+      enqueue(collection, record.id, record, now, author);
+    });
+    remove.forEach((id) => {
+      const key = `${collection}:${id}`;
+      if (remoteRemovals.delete(key)) return;
+      enqueue(collection, id, null, now, author);
+    });
+    persistQueue();
+    report(navigator.onLine ? 'pending' : 'offline');
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(syncNow, PUSH_DELAY);
+  };
+
+  // Bring records from the server to this app's schema. Stale ones are
+  // migrated with the local data as context (migrations look across
+  // collections) and queued so the upgraded copy replaces them on the server;
+  // the +1 makes it win over exactly the stale copy and nothing newer. A copy
+  // the server refused to take from us isn't offered again (requeue false).
+  const upgrade = (collection, records, requeue = true) => {
+    const live = records.filter((r) => !r.deleted);
+    if (live.some((r) => (r.schemaVersion || 0) > SCHEMA_VERSION)) {
+      throw new Error('Sync server has data from a newer version of the app; update to keep syncing');
+    }
+    const upgraded = new Map();
+    const versions = new Set(live.map((r) => r.schemaVersion || 0).filter((v) => v < SCHEMA_VERSION));
+    versions.forEach((version) => {
+      const stale = live.filter((r) => (r.schemaVersion || 0) === version);
+      const ids = new Set(stale.map((r) => r.id));
+      const data = {};
+      COLLECTIONS.forEach((c) => {
+        data[c] = storage.records(c);
+      });
+      data[collection] = [...data[collection].filter((r) => !ids.has(r.id)), ...stale];
+      migrate(data, version)[collection]
+        .filter((r) => ids.has(r.id))
+        .forEach((r) => {
+          const record = { ...r, schemaVersion: SCHEMA_VERSION };
+          upgraded.set(r.id, record);
+          if (requeue && !r.partial) enqueue(collection, r.id, record, (r.updatedAt || 0) + 1);
+        });
+    });
+    if (upgraded.size > 0) persistQueue();
+    return keepPasswords(collection, records.map((r) => upgraded.get(r.id) || r));
+  };
+
+  // Helper: put this device's passwords back on user records from the server,
+  // where they are still current
+  const keepPasswords = (collection, records) => {
+    if (collection !== 'users') return records;
+    const local = new Map(storage.records('users').map((u) => [u.id, u]));
+    return records.map((r) => {
+      const mine = local.get(r.id);
+      const current = (mine?.passwordVersion || 0) === (r.passwordVersion || 0);
+      return mine?.password && current && !r.deleted && r.password === undefined ? { ...r, password: mine.password } : r;
+    });
+  };
+
+  // A refused write resolves to { applied: false, denied: true, record } with
+  // the record to keep, and a write while signed out to { signedOut: true }
+  const request = async (path, options) => {
+    const res = await fetch(url + path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) }
+    });
+    if (res.status === 401) return { signedOut: true };
+    if (res.status === 403) return { ...(await res.json()), applied: false, denied: true };
+    if (!res.ok) throw new Error(`Sync server responded ${res.status}`);
+    return res.json();
+  };
+
+  // Push queued changes in order; stop at the first failure and keep the rest.
+  // Another user's changes wait for them to sign in, and a change without an
+  // author someone was refused waits for another account. Resolves false when
+  // the push waits for signIn.
+  const push = async () => {
+    for (const [key, change] of Object.entries(queue)) {
+      if (change.author ? change.author !== signedInAs : change.refusedTo?.includes(signedInAs)) continue;
+      const path = `/api/${change.collection}/${encodeURIComponent(change.id)}`;
+      const result = change.record
+        ? await request(path, {
+          method: 'PUT',
+          body: JSON.stringify({ ...change.record, updatedAt: change.updatedAt, schemaVersion: SCHEMA_VERSION })
+        })
+        : await request(`${path}?updatedAt=${change.updatedAt}`, { method: 'DELETE' });
+      if (result.signedOut) return false;
+      const own = change.author === signedInAs;
+      // Only drop the entry if it wasn't replaced by a newer change meanwhile
+      if (queue[key] === change) {
+        if (result.denied && !own) {
+          change.refusedTo = [...(change.refusedTo || []), signedInAs];
+        } else {
+          delete queue[key];
+        }
+      }
+      await persistQueue();
+      if (!result.applied && !queue[key] && own) {
+        // The server holds a newer version: take it, since the pull cursor
+        // may already be past it
+        const [record] = upgrade(change.collection, [result.record], !result.denied);
+        markRemote(change.collection, record);
+        applyRemote(change.collection, [record]);
+      }
+    }
+    return pushMedia();
+  };
+
+  // Upload media files saved on this device and drop deleted ones from the
+  // server; a file the server refuses isn't offered again
+  const pushMedia = async () => {
+    for (const { id, action, blob } of await pendingMedia()) {
+      const path = `/api/media/${encodeURIComponent(id)}`;
+      const auth = token ? { Authorization: `Bearer ${token}` } : {};
+      const res = action === 'delete'
+        ? await fetch(url + path, { method: 'DELETE', headers: auth })
+        : blob && await fetch(url + path, { method: 'PUT', headers: { ...auth, 'Content-Type': blob.type }, body: blob });
+      if (res?.status === 401) return false;
+      if (res && !res.ok && res.status !== 403) throw new Error(`Sync server responded ${res.status}`);
+      await clearPendingMedia(id, action);
+    }
+    return true;
+  };
+
+  // Pull everything the server accepted since our cursor. Resolves false when
+  // the rest waits for signIn.
+  const pull = async () => {
+    let signedIn = Boolean(token);
+    for (const collection of signedIn ? COLLECTIONS : ['users']) {
+      const result = await request(`/api/${collection}?since=${cursor[collection] || 0}`);
+      if (result.signedOut) {
+        signedIn = false;
+        break;
+      }
+      const { rev, records } = result;
+      // A record with a newer local change still queued will be pushed later; skip it
+      const incoming = upgrade(collection, records.filter((r) => !queue[`${collection}:${r.id}`]));
+      incoming.forEach((r) => markRemote(collection, r));
+      if (incoming.length > 0) applyRemote(collection, incoming);
+      cursor[collection] = rev;
+    }
+    await adapter.setMeta(CURSOR_KEY, cursor);
+    return signedIn;
+  };
+
+  // Run one push/pull cycle if online and not already running
+  const syncNow = async () => {
+    if (running) return;
+    if (!navigator.onLine) {
+      report('offline');
+      return;
+    }
+    running = true;
+    report('syncing');
+    try {
+      const pushed = await push();
+      // Pull even while signed out: a fresh device needs the accounts to sign in
+      const pulled = await pull();
+      lastSync = new Date().toISOString();
+      if (!pushed || !pulled) {
+        report('error', 'Sign in to sync changes from this device');
+      } else {
+        report(Object.keys(queue).length ? 'pending' : 'synced');
+      }
+    } catch (err) {
+      report('error', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const handleOnline = () => syncNow();
+  const handleOffline = () => report('offline');
+
+  return {
+    // Load the persisted queue and cursor, hook into storage and start syncing
+    async start(localData, upgraded = false) {
+      queue = (await adapter.getMeta(QUEUE_KEY)) || {};
+      cursor = await adapter.getMeta(CURSOR_KEY);
+      // Tokens saved before they recorded their user need a new signIn
+      const session = await adapter.getMeta(TOKEN_KEY);
+      if (session?.token) {
+        ({ token, userId: signedInAs } = session);
+      }
+      if (!cursor || upgraded) {
+        // Never synced from this device: offer everything we have. updatedAt 0
+        // means any copy already on the server wins. After a local migration
+        // the records keep the updatedAt they were pulled with, so the
+        // migrated copy replaces the server's unless that changed since.
+        cursor = cursor || {};
+        COLLECTIONS.forEach((collection) => {
+          (localData[collection] || []).forEach((record) => {
+            const key = `${collection}:${record.id}`;
+            if (!queue[key] && !record.partial) enqueue(collection, record.id, record, record.updatedAt || 0);
+          });
+        });
+        await persistQueue();
+      }
+      storage.subscribe(onLocalChange);
+      window.addEventListener('online', handleOnline);
+      window.addEventListener('offline', handleOffline);
+      timer = setInterval(syncNow, SYNC_INTERVAL);
+      syncNow();
+    },
+
+    stop() {
+      storage.unsubscribe(onLocalChange);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(timer);
+      clearTimeout(pushTimer);
+    },
+
+    // Sign in to the server for write access. Resolves true, or false when the
+    // server refuses the credentials; rejects when it can't be reached or
+    // doesn't have the account yet.
+    async signIn(username, password) {
+      const res = await fetch(`${url}/api/session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      if (res.status === 401 || res.status === 403) return false;
+      if (!res.ok) throw new Error(`Sync server responded ${res.status}`);
+      ({ token, userId: signedInAs } = await res.json());
+      await adapter.setMeta(TOKEN_KEY, { token, userId: signedInAs });
+      // This account may see records the last one couldn't: pull from the start
+      cursor = {};
+      await adapter.setMeta(CURSOR_KEY, cursor);
+      syncNow();
+      return true;
+    },
+
+    // Forget this device's token; changes made after this wait for the next signIn
+    async signOut() {
+      const previous = token;
+      token = null;
+      signedInAs = null;
+      await adapter.setMeta(TOKEN_KEY, null);
+      if (previous) {
+        fetch(`${url}/api/session`, { method: 'DELETE', headers: { Authorization: `Bearer ${previous}` } })
+          .catch(() => {});
+      }
+    },
+
+    // The app user whose changes are being saved (null when logged out)
+    setAuthor(userId) {
+      author = userId;
+    },
+
+    syncNow
+  };
+}
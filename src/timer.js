@@ -0,0 +1,58 @@
+// Timing helpers for workouts in progress: a ticking clock hook, mm:ss
+// formatting and the end-of-rest alert.
+//
+// Timers are stored as timestamps (start / end time) rather than counters,
+// so they stay correct when the phone throttles a background tab.
+
+import { useState, useEffect } from 'react';
+
+export const REST_ADJUST_STEP = 15; // seconds per +/- press
+
+// Hook: the current time in ms, refreshed every interval while active
+export function useNow(active, interval = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!active) return undefined;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(id);
+  }, [active, interval]);
+  return now;
+}
+
+// Format seconds as m:ss, or h:mm:ss past an hour
+export function formatClock(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Beep and vibrate when a rest period ends. Either may be unavailable (iOS
+// has no vibration; audio needs a prior user gesture), so failures are ignored.
+export function alertRestOver() {
+  try {
+    navigator.vibrate?.([200, 100, 200]);
+  } catch (e) {
+    // vibration not supported
+  }
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    const ctx = new AudioContext();
+    [0, 0.3].forEach((offset) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = 880;
+      gain.gain.value = 0.2;
+      osc.connect(gain);
+      gain.connect(ctx.destination);
+      osc.start(ctx.currentTime + offset);
+      osc.stop(ctx.currentTime + offset + 0.2);
+    });
+    setTimeout(() => ctx.close(), 1000);
+  } catch (e) {
+    // audio not available
+  }
+}
@@ -0,0 +1,79 @@
+// What an exercise is measured in. A program exercise's tracking is one of
+// the TRACKING_TYPES (reps when missing); time and distance exercises set
+// targets in duration (seconds) and/or distance (meters) instead of reps and
+// weight, and their logged sets carry the same fields. Distances are shown in
+// the viewer's units.
+
+import { formatClock } from './timer.js';
+import { LONG_DISTANCE, toDisplay } from './units.js';
+import { t } from './i18n.js';
+
+// Message keys of the tracking type names
+export const TRACKING_TYPES = {
+  reps: 'tracking.reps',
+  duration: 'tracking.duration',
+  distance: 'tracking.distance',
+  distanceTime: 'tracking.distanceTime'
+};
+
+export const trackingOf = (exercise) => exercise.tracking || 'reps';
+
+export const tracksDuration = (tracking) => tracking === 'duration' || tracking === 'distanceTime';
+
+export const tracksDistance = (tracking) => tracking === 'distance' || tracking === 'distanceTime';
+
+// Whether a logged set has anything in it
+export const isLoggedSet = (set) => Boolean(set) && (set.reps > 0 || set.duration > 0 || set.distance > 0);
+
+// Meters as 800 m or 5.25 km, or as 880 yd or 3.26 mi
+export function formatDistance(meters, units = 'metric') {
+  const long = LONG_DISTANCE[units];
+  if (meters >= long) {
+    const value = Math.round((meters / long) * 100) / 100;
+    return t(units === 'imperial' ? 'tracking.miles' : 'tracking.km', { value });
+  }
+  const value = Math.round(toDisplay(meters, units, 'distance'));
+  return t(units === 'imperial' ? 'tracking.yards' : 'tracking.meters', { value });
+}
+
+// Seconds per kilometer, or null without both a distance and a time
+export function pacePerKm(distance, duration) {
+  return distance > 0 && duration > 0 ? duration / (distance / 1000) : null;
+}
+
+// A pace (seconds per kilometer) per kilometer or mile, e.g. 4:30 /km
+export function formatPace(pace, units = 'metric') {
+  const perLong = pace * (LONG_DISTANCE[units] / 1000);
+  return t(units === 'imperial' ? 'tracking.pacePerMile' : 'tracking.pace', { pace: formatClock(perLong) });
+}
+
+// Helper: distance and time of one set, e.g. 5 km in 25:00
+const inTime = (parts) => (parts.length === 2 ? t('tracking.inTime', { distance: parts[0], time: parts[1] }) : parts.join(''));
+
+// Prescription of a program exercise, e.g. 3 sets × 10 reps or 5 km in 25:00
+export function describeTarget(exercise, units = 'metric') {
+  const tracking = trackingOf(exercise);
+  if (tracking === 'reps') return t('tracking.setsOfReps', { sets: exercise.sets, reps: exercise.reps });
+  const parts = [];
+  if (tracksDistance(tracking)) parts.push(formatDistance(exercise.distance || 0, units));
+  if (tracksDuration(tracking)) parts.push(formatClock(exercise.duration || 0));
+  const each = inTime(parts);
+  return exercise.sets > 1 ? `${exercise.sets} × ${each}` : each;
+}
+
+// One logged time/distance set, e.g. 0:45 or 1 km in 4:30 (4:30 /km)
+export function describeSet(set, units = 'metric') {
+  const parts = [];
+  if (set.distance > 0) parts.push(formatDistance(set.distance, units));
+  if (set.duration > 0) parts.push(formatClock(set.duration));
+  const pace = pacePerKm(set.distance, set.duration);
+  return inTime(parts) + (pace ? ` (${formatPace(pace, units)})` : '');
+}
+
+// Total time and distance of a logged exercise, with the average pace
+export function resultTotals(result) {
+  const sets = (result.completedSets || []).filter(isLoggedSet);
+  const duration = sets.reduce((sum, set) => sum + (set.duration || 0), 0);
+  const distance = sets.reduce((sum, set) => sum + (set.distance || 0), 0);
+  return { duration, distance, pace: pacePerKm(distance, duration) };
+}
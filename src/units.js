@@ -0,0 +1,61 @@
+// Display units. Weights are stored in kilograms, body measurements in
+// centimeters and distances in meters; a user's units preference ('metric' | 'imperial') converts
+// them for what that user sees and types in.
+
+import { t } from './i18n.js';
+
+// Message keys of the unit system names
+export const UNIT_SYSTEMS = {
+  metric: 'units.metric',
+  imperial: 'units.imperial'
+};
+
+export const unitsOf = (user) => user?.units || 'metric';
+
+// Display units per stored kind of value
+const FACTORS = { weight: 2.20462262, length: 1 / 2.54, distance: 1 / 0.9144, percent: 1 };
+const LABELS = {
+  metric: { weight: 'units.kg', length: 'units.cm', distance: 'units.m', percent: 'units.percent' },
+  imperial: { weight: 'units.lb', length: 'units.inch', distance: 'units.yd', percent: 'units.percent' }
+};
+
+// Meters in the unit long distances are shown in: a kilometer or a mile
+export const LONG_DISTANCE = { metric: 1000, imperial: 1609.344 };
+
+// Smallest jump that can be loaded on a bar: a pair of the lightest plates
+// found in most gyms (0.625 kg or 1.25 lb)
+export const PLATE_STEPS = { metric: 1.25, imperial: 2.5 };
+
+export const unitLabel = (units, kind = 'weight') => t(LABELS[units][kind]);
+
+// A stored value in display units, e.g. for an input. Metric values are
+// shown as stored; converted ones drop the conversion's float noise (two
+// decimals), which still shows a value typed in as typed.
+export function toDisplay(value, units, kind = 'weight') {
+  if (typeof value !== 'number' || Number.isNaN(value) || units !== 'imperial') return value;
+  return Math.round(value * FACTORS[kind] * 100) / 100;
+}
+
+// A stored value in display units to two decimals (enough for 1.25 kg
+// plates), for labels only: never store it again
+export function roundedDisplay(value, units, kind = 'weight') {
+  const shown = toDisplay(value, units, kind);
+  return typeof shown === 'number' ? Math.round(shown * 100) / 100 : shown;
+}
+
+// A typed-in value as stored. Kept precise enough that it shows again as
+// typed.
+export function fromDisplay(value, units, kind = 'weight') {
+  if (typeof value !== 'number' || Number.isNaN(value) || units !== 'imperial') return value;
+  return Math.round((value / FACTORS[kind]) * 1000) / 1000;
+}
+
+// e.g. 41.25 kg or 88.18 lb
+export const formatWeight = (kg, units) => `${roundedDisplay(kg, units)} ${unitLabel(units)}`;
+
+// A weight (kg) rounded to what the unit system's plates can load
+export function roundToPlates(kg, units) {
+  const step = PLATE_STEPS[units];
+  const shown = units === 'imperial' ? kg * FACTORS.weight : kg;
+  return fromDisplay(Math.round(shown / step) * step, units);
+}
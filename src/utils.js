@@ -0,0 +1,31 @@
+// Shared helpers used by the app and its data modules
+
+import { currentLocale } from './i18n.js';
+
+// Helper: generate a random ID for new records
+export const generateId = () => '_' + Math.random().toString(36).substr(2, 9);
+
+// Helper: format a stored ISO date for display
+export function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value || '';
+  return date.toLocaleDateString(currentLocale());
+}
+
+// Helper: format a date with Intl options, e.g. { month: 'long', year: 'numeric' }
+export function formatDateWith(value, options) {
+  return new Date(value).toLocaleDateString(currentLocale(), options);
+}
+
+// Helper: format a number for display, e.g. with { maximumFractionDigits: 1 }
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(currentLocale(), options).format(value);
+}
+
+// Helper: local calendar day key (YYYY-MM-DD) for grouping by day
+export function toDateKey(value = new Date()) {
+  const date = new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
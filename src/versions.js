@@ -0,0 +1,228 @@
+// Program versions. Every save of a program adds an entry to its versions
+// array: { version, savedAt, savedBy, content }, where content is a copy of
+// the program's prescription at that point. program.version is the latest,
+// and completed workouts record the programVersion they were performed
+// against, so history shows what was prescribed at the time.
+
+import { generateId } from './utils.js';
+import { describeTarget } from './tracking.js';
+import { SET_TYPES, setTypeAt, groupLabel } from './sets.js';
+import { t } from './i18n.js';
+
+// The program fields a version captures
+const VERSIONED_FIELDS = ['name', 'description', 'difficulty', 'duration', 'targetMuscles', 'days', 'phases'];
+
+// Helper: an exercise's special sets, e.g. "Set 1: Warm-up, Set 4: Drop set"
+const describeSetTypes = (ex) => Array.from({ length: ex.sets || 0 }, (_, i) => setTypeAt(ex, i))
+  .map((type, i) => (type === 'normal' ? null : `${t('workouts.set', { number: i + 1 })}: ${t(SET_TYPES[type])}`))
+  .filter(Boolean)
+  .join(', ');
+
+// Fields compared between versions, with the message keys of their labels
+// and, where the raw value doesn't read well, how to show it
+const PROGRAM_FIELDS = [
+  { key: 'name', label: 'versions.field.name' },
+  { key: 'description', label: 'versions.field.description' },
+  { key: 'difficulty', label: 'versions.field.difficulty' },
+  { key: 'duration', label: 'versions.field.duration' }
+];
+
+const EXERCISE_FIELDS = [
+  { key: 'sets', label: 'versions.field.sets' },
+  { key: 'reps', label: 'versions.field.reps' },
+  { key: 'weight', label: 'versions.field.weight' },
+  { key: 'increment', label: 'versions.field.increment' },
+  { key: 'tracking', label: 'versions.field.tracking' },
+  { key: 'duration', label: 'versions.field.durationSeconds' },
+  { key: 'distance', label: 'versions.field.distanceMeters' },
+  { key: 'rest', label: 'versions.field.rest' },
+  { key: 'setTypes', label: 'versions.field.setTypes', format: describeSetTypes },
+  { key: 'notes', label: 'versions.field.notes' }
+];
+
+const PHASE_FIELDS = [
+  { key: 'name', label: 'versions.field.name' },
+  { key: 'weeks', label: 'versions.field.weeks' }
+];
+
+// The versioned content of a program
+export function programContent(program) {
+  const content = {};
+  VERSIONED_FIELDS.forEach((field) => {
+    content[field] = program[field];
+  });
+  return content;
+}
+
+// Whether saving updated over program would change its prescription
+export function contentChanged(program, updated) {
+  return JSON.stringify(programContent(program)) !== JSON.stringify(programContent(updated));
+}
+
+// updated as the program's next version, saved by userId
+export function withNewVersion(program, updated, userId, now = new Date()) {
+  const version = (program.version || 0) + 1;
+  return {
+    ...updated,
+    version,
+    versions: [
+      ...(program.versions || []),
+      { version, savedAt: now.toISOString(), savedBy: userId, content: programContent(updated) }
+    ]
+  };
+}
+
+// The program as it was at a version; the current program if that version
+// isn't recorded
+export function programAtVersion(program, version) {
+  const entry = (program.versions || []).find((v) => v.version === version);
+  return entry ? { ...program, ...entry.content, version } : program;
+}
+
+// Helper: display a value in a diff line
+const show = (value) => (value === undefined || value === null || value === '' ? '—' : String(value));
+
+// Helper: changed fields between two records as "label: from → to" details
+const fieldChanges = (fields, from, to) => fields
+  .map(({ key, label, format }) => ({
+    label,
+    before: show(format ? format(from) : from[key]),
+    after: show(format ? format(to) : to[key])
+  }))
+  .filter(({ before, after }) => before !== after)
+  .map(({ label, before, after }) => `${t(label)}: ${before} → ${after}`);
+
+// Helper: a day's supersets and circuits keyed by their exercises' ids, so a
+// group that was split or rejoined (and got a new id) still compares by
+// membership: { key: { names, rest } }
+function dayGroups(day) {
+  const groups = {};
+  (day.groups || []).forEach((group) => {
+    const members = day.exercises.filter((ex) => ex.groupId === group.id);
+    if (members.length < 2) return;
+    groups[members.map((ex) => ex.id).join(',')] = { names: members.map((ex) => ex.name), rest: group.rest };
+  });
+  return groups;
+}
+
+// Helper: changes to a day's groups and exercise order, as diff lines
+function dayStructureChanges(before, day) {
+  const lines = [];
+  const groupsBefore = dayGroups(before);
+  const groupsAfter = dayGroups(day);
+  const subject = (group) => `${day.name} › ${groupLabel(group.names.length)}: ${group.names.join(' + ')}`;
+  Object.entries(groupsAfter).forEach(([key, group]) => {
+    const prev = groupsBefore[key];
+    if (!prev) {
+      lines.push({ kind: 'added', subject: subject(group), detail: '' });
+    } else if (prev.rest !== group.rest) {
+      lines.push({
+        kind: 'changed',
+        subject: subject(group),
+        detail: `${t('versions.field.groupRest')}: ${show(prev.rest)} → ${show(group.rest)}`
+      });
+    }
+  });
+  Object.entries(groupsBefore)
+    .filter(([key]) => !groupsAfter[key])
+    .forEach(([, group]) => lines.push({ kind: 'removed', subject: subject(group), detail: '' }));
+
+  // Order of the exercises the day kept; additions and removals are listed anyway
+  const kept = (exercises, other) => exercises.filter((ex) => other.some((o) => o.id === ex.id));
+  const orderBefore = kept(before.exercises, day.exercises);
+  const orderAfter = kept(day.exercises, before.exercises);
+  if (orderBefore.some((ex, i) => ex.id !== orderAfter[i].id)) {
+    const names = (exercises) => exercises.map((ex) => ex.name).join(', ');
+    lines.push({
+      kind: 'changed',
+      subject: day.name,
+      detail: `${t('versions.field.order')}: ${names(orderBefore)} → ${names(orderAfter)}`
+    });
+  }
+  return lines;
+}
+
+// Differences between two versions' contents, as display lines
+// { kind: 'added' | 'removed' | 'changed', subject, detail }
+export function diffVersions(older, newer) {
+  const lines = [];
+  fieldChanges(PROGRAM_FIELDS, older, newer).forEach((detail) => {
+    lines.push({ kind: 'changed', subject: t('versions.program'), detail });
+  });
+
+  newer.days.forEach((day) => {
+    const before = older.days.find((d) => d.id === day.id);
+    if (!before) {
+      lines.push({ kind: 'added', subject: day.name, detail: t('versions.exerciseCount', { count: day.exercises.length }) });
+      return;
+    }
+    if (before.name !== day.name) {
+      lines.push({ kind: 'changed', subject: day.name, detail: `${t('versions.field.name')}: ${before.name} → ${day.name}` });
+    }
+    day.exercises.forEach((ex) => {
+      const prev = before.exercises.find((e) => e.id === ex.id);
+      const subject = `${day.name} › ${ex.name}`;
+      if (!prev) {
+        lines.push({ kind: 'added', subject, detail: describeTarget(ex) });
+        return;
+      }
+      fieldChanges(EXERCISE_FIELDS, prev, ex).forEach((detail) => {
+        lines.push({ kind: 'changed', subject, detail });
+      });
+    });
+    before.exercises
+      .filter((e) => !day.exercises.some((ex) => ex.id === e.id))
+      .forEach((e) => lines.push({ kind: 'removed', subject: `${day.name} › ${e.name}`, detail: '' }));
+    lines.push(...dayStructureChanges(before, day));
+  });
+  older.days
+    .filter((d) => !newer.days.some((day) => day.id === d.id))
+    .forEach((d) => lines.push({ kind: 'removed', subject: d.name, detail: '' }));
+
+  const exerciseName = (id) => newer.days.concat(older.days)
+    .flatMap((d) => d.exercises)
+    .find((ex) => ex.id === id)?.name || id;
+  newer.phases.forEach((phase) => {
+    const before = older.phases.find((p) => p.id === phase.id);
+    const subject = t('versions.phase', { name: phase.name });
+    if (!before) {
+      lines.push({ kind: 'added', subject, detail: t('programs.weeks', { count: phase.weeks }) });
+      return;
+    }
+    fieldChanges(PHASE_FIELDS, before, phase)
+      .forEach((detail) => lines.push({ kind: 'changed', subject, detail }));
+    const ids = new Set([...Object.keys(before.targets), ...Object.keys(phase.targets)]);
+    ids.forEach((id) => {
+      fieldChanges(EXERCISE_FIELDS.slice(0, 2), before.targets[id] || {}, phase.targets[id] || {})
+        .forEach((detail) => lines.push({ kind: 'changed', subject: `${subject} › ${exerciseName(id)}`, detail }));
+    });
+  });
+  older.phases
+    .filter((p) => !newer.phases.some((phase) => phase.id === p.id))
+    .forEach((p) => lines.push({ kind: 'removed', subject: t('versions.phase', { name: p.name }), detail: '' }));
+
+  return lines;
+}
+
+// A copy of a program to reuse as a template: new ids throughout (phase
+// targets follow their exercises), owned by ownerId and starting at version 1
+export function duplicateProgram(program, ownerId, name, now = new Date()) {
+  const exerciseIds = {};
+  const days = program.days.map((day) => ({
+    ...day,
+    id: generateId(),
+    exercises: day.exercises.map((ex) => {
+      exerciseIds[ex.id] = generateId();
+      return { ...ex, id: exerciseIds[ex.id] };
+    })
+  }));
+  const phases = program.phases.map((phase) => {
+    const targets = {};
+    Object.entries(phase.targets).forEach(([id, target]) => {
+      if (exerciseIds[id]) targets[exerciseIds[id]] = target;
+    });
+    return { ...phase, id: generateId(), targets };
+  });
+  const copy = { ...programContent(program), id: generateId(), ownerId, name, days, phases };
+  return withNewVersion({ version: 0, versions: [] }, copy, ownerId, now);
+}
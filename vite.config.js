@@ -1,9 +1,48 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'node:fs'
+import path from 'node:path'
+import crypto from 'node:crypto'
+
+// Helper: files under public/, which Vite copies to the build as-is
+function publicFiles(dir, prefix = '') {
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => (
+    entry.isDirectory()
+      ? publicFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`]
+  ))
+}
+
+// Emits sw.js from src/service-worker.js with the list of built files to
+// precache. The cache version is a hash of those files, so each deploy that
+// changes anything installs a new worker.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(options, bundle) {
+      const hash = crypto.createHash('sha256')
+      const files = Object.values(bundle).map((file) => {
+        hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source)
+        return file.fileName
+      })
+      publicFiles(path.resolve('public')).forEach((file) => {
+        hash.update(file).update(fs.readFileSync(path.resolve('public', file)))
+        files.push(file)
+      })
+      const source = fs.readFileSync(path.resolve('src/service-worker.js'), 'utf8')
+        .replace('self.__PRECACHE__', JSON.stringify(files.filter((f) => !f.endsWith('.map'))))
+        .replace('self.__VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     port: 3000
   }
-})
\ No newline at end of file
+})